@@ -0,0 +1,27 @@
+// scripts/lint-menus.js
+// Usage: npm run lint:menus [-- --strict]
+const menuLinter = require('../src/config/menu.linter');
+
+async function main() {
+  const strict = process.argv.includes('--strict');
+  const issues = await menuLinter.run();
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+
+  issues
+    .sort((a, b) => a.menu.localeCompare(b.menu))
+    .forEach(issue => {
+      console.log(`${issue.severity.padEnd(7)} ${issue.menu.padEnd(28)} ${issue.rule.padEnd(16)} ${issue.message}`);
+    });
+
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Menu lint failed:', error.message);
+  process.exit(1);
+});
@@ -61,9 +61,18 @@ class USSDApp {
         const healthController = require('./src/controllers/health.controller');
         const ussdController = require('./src/controllers/ussd.controller');
 
+        const adminController = require('./src/controllers/admin.controller');
+
         // Health check
         this.app.get('/api/health', (req, res) => healthController.check(req, res));
 
+        // PIN lockout administration
+        this.app.get('/api/admin/pin/:msisdn', (req, res) => adminController.pinStatus(req, res));
+        this.app.post('/api/admin/pin/:msisdn/unlock', (req, res) => adminController.unlockPin(req, res));
+
+        // Cached customer records
+        this.app.delete('/api/admin/cache/customer/:msisdn', (req, res) => adminController.clearCustomerCache(req, res));
+
         // USSD endpoint
         this.app.post('/api/ussd', async (req, res) => {
             try {
@@ -15,6 +15,7 @@ class ConfigurationLoader {
     await this.loadMenus();
     await this.loadApiEndpoints();
     await this.loadBusinessRules();
+    await this.loadValidationRules();
     await this.loadModuleConfigs();
     
     this.startWatchers();
@@ -23,20 +24,27 @@ class ConfigurationLoader {
   async loadMenus() {
     const menusDir = path.join(__dirname, '../..', 'config/menus');
     const menuFiles = await this.getAllFiles(menusDir, '.json');
+    const previousMenus = this.configs.menus || {};
     
-    this.configs.menus = {};
+    const menus = {};
     for (const file of menuFiles) {
       const relativePath = path.relative(menusDir, file);
       const menuName = relativePath.replace('.json', '').replace(/\\/g, '_');
       
       try {
         const content = await fs.readFile(file, 'utf8');
-        this.configs.menus[menuName] = JSON.parse(content);
+        menus[menuName] = JSON.parse(content);
       } catch (error) {
         console.warn(`Failed to load menu ${file}:`, error.message);
+        this.notify('error', { type: 'menus', file, message: error.message });
+        // Keep the last good version of a menu that fails to parse
+        if (previousMenus[menuName]) {
+          menus[menuName] = previousMenus[menuName];
+        }
       }
     }
     
+    this.configs.menus = menus;
     console.log(`Loaded ${Object.keys(this.configs.menus).length} menu configurations`);
     this.notify('menus', this.configs.menus);
   }
@@ -49,6 +57,7 @@ class ConfigurationLoader {
       this.notify('apiEndpoints', this.configs.apiEndpoints);
     } catch (error) {
       console.warn('Failed to load API endpoints:', error.message);
+      this.notify('error', { type: 'apiEndpoints', file: configPath, message: error.message });
     }
   }
 
@@ -60,6 +69,19 @@ class ConfigurationLoader {
       this.notify('businessRules', this.configs.businessRules);
     } catch (error) {
       console.warn('Failed to load business rules:', error.message);
+      this.notify('error', { type: 'businessRules', file: configPath, message: error.message });
+    }
+  }
+
+  async loadValidationRules() {
+    const configPath = path.join(__dirname, '../..', 'config/validation-rules.json');
+    try {
+      const content = await fs.readFile(configPath, 'utf8');
+      this.configs.validationRules = JSON.parse(content);
+      this.notify('validationRules', this.configs.validationRules);
+    } catch (error) {
+      console.warn('Failed to load validation rules:', error.message);
+      this.notify('error', { type: 'validationRules', file: configPath, message: error.message });
     }
   }
 
@@ -102,20 +124,63 @@ class ConfigurationLoader {
   }
 
   startWatchers() {
+    if (this.watchers.size > 0 || process.env.CONFIG_HOT_RELOAD === 'false') {
+      return;
+    }
+
     const configDir = path.join(__dirname, '../..', 'config');
+    const watchOptions = {
+      persistent: true,
+      ignoreInitial: true,
+      // Wait for editors to finish writing before reloading
+      awaitWriteFinish: { stabilityThreshold: 300, pollInterval: 100 }
+    };
     
     // Watch for menu changes
-    const menuWatcher = chokidar.watch(path.join(configDir, 'menus'), {
-      persistent: true,
-      ignoreInitial: true
-    });
+    const menuWatcher = chokidar.watch(path.join(configDir, 'menus'), watchOptions);
     
-    menuWatcher.on('change', (filePath) => {
-      console.log(`Menu file changed: ${filePath}`);
-      this.loadMenus();
+    menuWatcher.on('all', (event, filePath) => {
+      if (!['add', 'change', 'unlink'].includes(event)) return;
+      console.log(`Menu file ${event}: ${filePath}`);
+      this.reload('menus', () => this.loadMenus());
     });
     
     this.watchers.set('menus', menuWatcher);
+
+    // Watch for API endpoint, business rule and validation rule changes
+    const rulesWatcher = chokidar.watch([
+      path.join(configDir, 'api-endpoints.json'),
+      path.join(configDir, 'business-rules.json'),
+      path.join(configDir, 'validation-rules.json')
+    ], watchOptions);
+
+    rulesWatcher.on('change', (filePath) => {
+      console.log(`Config file changed: ${filePath}`);
+      if (filePath.endsWith('api-endpoints.json')) {
+        this.reload('apiEndpoints', () => this.loadApiEndpoints());
+      } else if (filePath.endsWith('validation-rules.json')) {
+        this.reload('validationRules', () => this.loadValidationRules());
+      } else {
+        this.reload('businessRules', () => this.loadBusinessRules());
+      }
+    });
+
+    this.watchers.set('rules', rulesWatcher);
+  }
+
+  async reload(type, loader) {
+    try {
+      await loader();
+    } catch (error) {
+      console.error(`Failed to reload ${type}:`, error.message);
+    }
+  }
+
+  async stopWatchers() {
+    for (const watcher of this.watchers.values()) {
+      await watcher.close();
+    }
+    this.watchers.clear();
   }
 
   on(event, callback) {
@@ -127,7 +192,13 @@ class ConfigurationLoader {
 
   notify(event, data) {
     const callbacks = this.callbacks.get(event) || [];
-    callbacks.forEach(callback => callback(data));
+    callbacks.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Config listener for ${event} failed:`, error.message);
+      }
+    });
   }
 
   getConfig(type) {
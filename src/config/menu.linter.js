@@ -0,0 +1,322 @@
+// src/config/menu.linter.js
+const fs = require('fs').promises;
+const path = require('path');
+
+class MenuLinter {
+  constructor() {
+    this.configDir = path.join(__dirname, '../..', 'config');
+    this.menusDir = path.join(this.configDir, 'menus');
+    this.modulesDir = path.join(__dirname, '..', 'modules');
+    this.reservedTargets = new Set(['end', 'back']);
+    this.defaultMaxScreenLength = 182;
+  }
+
+  async loadMenus() {
+    const menus = new Map();
+    const parseErrors = [];
+
+    const files = (await fs.readdir(this.menusDir)).filter(f => f.endsWith('.json'));
+    for (const file of files) {
+      const menuName = file.replace('.json', '');
+      try {
+        const content = await fs.readFile(path.join(this.menusDir, file), 'utf8');
+        menus.set(menuName, JSON.parse(content));
+      } catch (error) {
+        parseErrors.push({ menu: menuName, message: `Could not parse ${file}: ${error.message}` });
+      }
+    }
+
+    return { menus, parseErrors };
+  }
+
+  async loadJson(fileName) {
+    try {
+      const content = await fs.readFile(path.join(this.configDir, fileName), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      console.warn(`Could not load ${fileName}:`, error.message);
+      return {};
+    }
+  }
+
+  async loadHandlerNames() {
+    const moduleRegistry = require('../modules/module.registry');
+    await moduleRegistry.init();
+
+    const { handlers, aliases } = moduleRegistry.list();
+    const names = new Map(handlers.map(name => [name, name]));
+
+    // Aliases are listed as "alias -> handler"
+    aliases.forEach(entry => {
+      const [alias, target] = entry.split(' -> ');
+      names.set(alias, target);
+    });
+
+    return names;
+  }
+
+  // Menus a module can route to, taken from nextMenu/retryMenu literals in its source
+  async loadModuleTargets() {
+    const targets = new Map();
+    const files = (await fs.readdir(this.modulesDir)).filter(f => f.endsWith('.module.js'));
+
+    for (const file of files) {
+      const moduleName = path.basename(file, '.module.js');
+      const source = await fs.readFile(path.join(this.modulesDir, file), 'utf8');
+      const found = new Set();
+
+      for (const match of source.matchAll(/(?:nextMenu|retryMenu)\s*:\s*['"]([\w-]+)['"]/g)) {
+        found.add(match[1]);
+      }
+
+      targets.set(moduleName, found);
+    }
+
+    return targets;
+  }
+
+  async run() {
+    const { menus, parseErrors } = await this.loadMenus();
+    const templates = await this.loadJson('menu-templates.json');
+    const businessRules = await this.loadJson('business-rules.json');
+    const handlers = await this.loadHandlerNames();
+    const moduleTargets = await this.loadModuleTargets();
+
+    const issues = parseErrors.map(error => ({ severity: 'error', rule: 'parse-error', ...error }));
+
+    return issues.concat(this.lint({ menus, templates, handlers, moduleTargets, businessRules }));
+  }
+
+  lint({ menus, templates = {}, handlers, moduleTargets = new Map(), businessRules = {} }) {
+    const issues = [];
+    const report = (severity, menu, rule, message) => issues.push({ severity, menu, rule, message });
+    const maxLength = businessRules.ussd?.maxScreenLength || this.defaultMaxScreenLength;
+    const { moreKey = '98', moreText = 'More' } = businessRules.ussd?.pagination || {};
+
+    for (const [menuName, menuConfig] of menus) {
+      this.validateMenu(menuName, menuConfig).forEach(message => {
+        report('error', menuName, 'invalid-menu', message);
+      });
+
+      for (const edge of this.collectTargets(menuConfig, handlers, moduleTargets)) {
+        if (!this.reservedTargets.has(edge.target) && !menus.has(edge.target)) {
+          report('error', menuName, 'dangling-target', `${edge.source} -> ${edge.target} does not exist`);
+        }
+      }
+
+      for (const handler of this.collectHandlers(menuConfig)) {
+        if (!handlers.has(handler.name)) {
+          report('error', menuName, 'unknown-handler', `${handler.source} "${handler.name}" is not registered`);
+        }
+      }
+
+      this.checkNumbering(menuConfig).forEach(message => {
+        report('error', menuName, 'option-numbering', message);
+      });
+
+      const length = this.estimateLength(menuConfig, `${moreKey}. ${moreText}`);
+      if (length > maxLength) {
+        report('error', menuName, 'screen-length', `Rendered screen is at least ${length} characters (limit ${maxLength})`);
+      }
+    }
+
+    for (const menuName of this.findUnreachable(menus, handlers, moduleTargets)) {
+      report('warning', menuName, 'unreachable', 'Menu cannot be reached from any entry point');
+    }
+
+    // Templates are partial menus; placeholders such as {back_menu} are filled in later
+    for (const [templateName, template] of Object.entries(templates)) {
+      for (const handler of this.collectHandlers(template)) {
+        if (!this.isPlaceholder(handler.name) && !handlers.has(handler.name)) {
+          report('error', `template:${templateName}`, 'unknown-handler', `${handler.source} "${handler.name}" is not registered`);
+        }
+      }
+
+      for (const edge of this.collectTargets(template, handlers)) {
+        if (!this.isPlaceholder(edge.target) && !this.reservedTargets.has(edge.target) && !menus.has(edge.target)) {
+          report('error', `template:${templateName}`, 'dangling-target', `${edge.source} -> ${edge.target} does not exist`);
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  // Structural problems that make a menu unusable at runtime
+  validateMenu(menuName, menuConfig) {
+    const problems = [];
+
+    if (!menuConfig || typeof menuConfig !== 'object' || Array.isArray(menuConfig)) {
+      return ['Menu must be a JSON object'];
+    }
+
+    if (menuConfig.name && menuConfig.name !== menuName) {
+      problems.push(`"name" is ${menuConfig.name} but the file is ${menuName}.json`);
+    }
+
+    if (menuConfig.message !== undefined && typeof menuConfig.message !== 'string') {
+      problems.push('"message" must be a string');
+    }
+
+    if (menuConfig.action && !['con', 'end'].includes(menuConfig.action)) {
+      problems.push(`"action" must be con or end, got ${menuConfig.action}`);
+    }
+
+    if (menuConfig.options !== undefined) {
+      if (!Array.isArray(menuConfig.options)) {
+        problems.push('"options" must be an array');
+      } else {
+        menuConfig.options.forEach((option, index) => {
+          if (!option.nextMenu && !option.handler && !option.action) {
+            problems.push(`Option ${index + 1} has no nextMenu, handler or action`);
+          }
+        });
+      }
+    }
+
+    if (menuConfig.inputConfig) {
+      problems.push('inputConfig is not supported; read free-text input in a handler');
+    }
+
+    return problems;
+  }
+
+  collectHandlers(menuConfig) {
+    const found = [];
+    const add = (name, source) => {
+      if (typeof name === 'string' && name) found.push({ name, source });
+    };
+
+    add(menuConfig.handler, 'handler');
+    (Array.isArray(menuConfig.options) ? menuConfig.options : []).forEach((option, index) => {
+      add(option.handler, `Option ${index + 1} handler`);
+    });
+
+    return found;
+  }
+
+  collectTargets(menuConfig, handlers = new Map(), moduleTargets = new Map()) {
+    const edges = [];
+    const add = (target, source) => {
+      if (typeof target === 'string' && target) edges.push({ target, source });
+    };
+
+    (Array.isArray(menuConfig.options) ? menuConfig.options : []).forEach((option, index) => {
+      const label = `Option ${index + 1} "${option.text || 'unnamed'}"`;
+      add(option.nextMenu, label);
+      add(option.action?.nextMenuOnSuccess, `${label} action success`);
+      add(option.action?.nextMenuOnError, `${label} action error`);
+    });
+
+    if (menuConfig.navigation && typeof menuConfig.navigation === 'object') {
+      Object.entries(menuConfig.navigation)
+        .filter(([key]) => key !== 'text')
+        .forEach(([key, target]) => add(target, `navigation "${key}"`));
+    }
+
+    ['onBack', 'onHome', 'onExit'].forEach(key => add(menuConfig[key], key));
+
+    // Handlers route by returning nextMenu, so follow the literals in their module
+    for (const handler of this.collectHandlers(menuConfig)) {
+      const realName = handlers.get(handler.name) || handler.name;
+      const moduleName = realName.split('.')[0];
+      for (const target of moduleTargets.get(moduleName) || []) {
+        add(target, `${handler.source} "${handler.name}"`);
+      }
+    }
+
+    return edges;
+  }
+
+  findUnreachable(menus, handlers, moduleTargets) {
+    const entryPoints = [...menus.keys()].filter(name => menus.get(name).metadata?.isEntryPoint);
+    const queue = entryPoints.length > 0 ? entryPoints : ['home'];
+    const visited = new Set(queue);
+
+    while (queue.length > 0) {
+      const menuConfig = menus.get(queue.shift());
+      if (!menuConfig) continue;
+
+      for (const { target } of this.collectTargets(menuConfig, handlers, moduleTargets)) {
+        if (menus.has(target) && !visited.has(target)) {
+          visited.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    return [...menus.keys()].filter(name => !visited.has(name));
+  }
+
+  checkNumbering(menuConfig) {
+    const options = Array.isArray(menuConfig.options) ? menuConfig.options : [];
+    const message = typeof menuConfig.message === 'string' ? menuConfig.message : '';
+    const numbered = [...message.matchAll(/^(\d+)\.\s+(.+)$/gm)]
+      .map(match => ({ number: parseInt(match[1], 10), text: match[2].trim() }))
+      .filter(line => line.number > 0);
+
+    if (options.length === 0 || numbered.length === 0) {
+      return [];
+    }
+
+    const problems = [];
+    const seen = new Set();
+
+    numbered.forEach(line => {
+      if (seen.has(line.number)) {
+        problems.push(`Message text numbers option ${line.number} more than once`);
+      }
+      seen.add(line.number);
+    });
+
+    options.forEach((option, index) => {
+      const line = numbered.find(entry => entry.number === index + 1);
+      if (!line) {
+        problems.push(`Option ${index + 1} "${option.text}" is missing from the message text`);
+      } else if (option.text && line.text.toLowerCase() !== option.text.toLowerCase()) {
+        problems.push(`Message text shows "${line.number}. ${line.text}" but option ${index + 1} is "${option.text}"`);
+      }
+    });
+
+    numbered
+      .filter(line => line.number > options.length)
+      .forEach(line => problems.push(`Message text lists "${line.number}. ${line.text}" with no matching option`));
+
+    return problems;
+  }
+
+  // Mirrors MenuService.renderMenu; template variables are not counted.
+  // Auto-numbered options are paginated, so only the smallest page has to fit.
+  estimateLength(menuConfig, moreControl = '98. More') {
+    const stripVariables = text => String(text || '').replace(/\{(\w+(?:\.\w+)*)\}/g, '');
+    const message = stripVariables(menuConfig.message);
+
+    const navigationText = typeof menuConfig.navigation === 'string'
+      ? menuConfig.navigation
+      : menuConfig.navigation?.text;
+    const footer = navigationText && !message.includes(navigationText.trim())
+      ? stripVariables(navigationText)
+      : '';
+
+    const options = Array.isArray(menuConfig.options) ? menuConfig.options : [];
+    const lines = options.length > 0 && !/\n\d\.\s/.test(message)
+      ? options.map((option, index) => `${index + 1}. ${stripVariables(option.text)}`)
+      : [];
+
+    const fullLength = [message, ...lines, footer].filter(part => part).join('\n').trim().length;
+    if (lines.length <= 1) {
+      return fullLength;
+    }
+
+    const longestLine = lines.reduce((longest, line) => (line.length > longest.length ? line : longest), '');
+    const smallestPage = [message, longestLine, moreControl, footer]
+      .filter(part => part).join('\n').trim().length;
+    return Math.min(fullLength, smallestPage);
+  }
+
+  isPlaceholder(value) {
+    return typeof value === 'string' && /^\{\w+\}$/.test(value);
+  }
+}
+
+module.exports = new MenuLinter();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const pinSecurityService = require('../services/pin-security.service');
+const apiService = require('../services/api.service');
+
+class AdminController {
+    // Admin routes are closed unless ADMIN_API_KEY is configured
+    authorize(req, res) {
+        const apiKey = process.env.ADMIN_API_KEY;
+        if (apiKey && this.keyMatches(req.headers['x-admin-key'], apiKey)) {
+            return true;
+        }
+
+        res.status(401).json({ status: 'error', message: 'Unauthorized' });
+        return false;
+    }
+
+    // Constant-time comparison so response timing does not leak the key
+    keyMatches(provided, expected) {
+        if (typeof provided !== 'string') return false;
+
+        const providedBuffer = Buffer.from(provided);
+        const expectedBuffer = Buffer.from(expected);
+        if (providedBuffer.length !== expectedBuffer.length) return false;
+
+        return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+    }
+
+    async pinStatus(req, res) {
+        if (!this.authorize(req, res)) return;
+
+        try {
+            const status = await pinSecurityService.getStatus(req.params.msisdn);
+            res.json({ status: 'ok', pin: status });
+        } catch (error) {
+            console.error('PIN status error:', error.message);
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    }
+
+    async unlockPin(req, res) {
+        if (!this.authorize(req, res)) return;
+
+        try {
+            const unlockedBy = req.body?.unlockedBy || req.ip;
+            const status = await pinSecurityService.unlock(req.params.msisdn, unlockedBy);
+            res.json({ status: 'ok', pin: status });
+        } catch (error) {
+            console.error('PIN unlock error:', error.message);
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    }
+
+    // Forces a fresh GETCUSTOMER on the next dial, e.g. after an account is linked at a branch
+    async clearCustomerCache(req, res) {
+        if (!this.authorize(req, res)) return;
+
+        try {
+            const cleared = await apiService.invalidate('GETCUSTOMER', { msisdn: req.params.msisdn });
+            res.json({ status: cleared ? 'ok' : 'error', msisdn: req.params.msisdn });
+        } catch (error) {
+            console.error('Customer cache clear error:', error.message);
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    }
+}
+
+module.exports = new AdminController();
@@ -1,5 +1,8 @@
 const { loggingService } = require('../services/logging.service');
 const sessionService = require('../services/session.service');
+const menuService = require('../services/menu.service');
+const circuitBreaker = require('../services/circuit-breaker.service');
+const cacheService = require('../services/cache.service');
 
 class HealthController {
     async check(req, res) {
@@ -12,10 +15,18 @@ class HealthController {
                 services: {
                     redis: sessionHealth.redis,
                     session: sessionHealth.healthy ? 'healthy' : 'unhealthy'
-                }
+                },
+                circuits: circuitBreaker.getStatus(),
+                cache: cacheService.getStats(),
+                config: menuService.getConfigVersion()
             };
             
             const overallHealthy = sessionHealth.healthy;
+
+            // An open breaker degrades the service but the instance can still take sessions
+            if (overallHealthy && circuitBreaker.hasOpenCircuits()) {
+                healthStatus.status = 'degraded';
+            }
             
             res.status(overallHealthy ? 200 : 503).json(healthStatus);
         } catch (error) {
@@ -3,6 +3,9 @@ const sessionService = require('../services/session.service');
 const menuService = require('../services/menu.service');
 const apiService = require('../services/api.service');
 const loggingService = require('../services/logging.service');
+const cacheService = require('../services/cache.service');
+const i18nService = require('../services/i18n.service');
+const beneficiaryService = require('../services/beneficiary.service');
 
 class UssdController {
   async handleRequest(req, res) {
@@ -64,7 +67,10 @@ class UssdController {
         sessionService.blank(msisdn, sessionId, shortcode, key);
         return value;
       },
-      updateSession: (data) => sessionService.updateSession(msisdn, sessionId, shortcode, data)
+      updateSession: (data) => sessionService.updateSession(msisdn, sessionId, shortcode, data),
+      // Saved recipients are keyed by customer, so they resolve against the merged session below
+      beneficiaries: (type) => beneficiaryService.list(enhancedSession, type),
+      offerBeneficiary: (type, beneficiary) => beneficiaryService.offer(enhancedSession, type, beneficiary)
     };
 
     // Merge helpers with session data
@@ -79,6 +85,12 @@ class UssdController {
     // Fetch customer data if needed
     if ((session.currentMenu || 'home') === 'home' && !session.customerData) {
       const customerData = await this.fetchCustomerData(enhancedSession);
+
+      // Backend down or its breaker open: say so rather than treating the caller as unregistered
+      if (!customerData) {
+        return this.serviceUnavailable(enhancedSession);
+      }
+
       enhancedSession.customerData = customerData;
       
       loggingService.logHome(
@@ -98,6 +110,11 @@ class UssdController {
 
     let result;
     
+    // Protected menus need a successful PIN login in this session
+    if (!menuService.isAccessAllowed(currentMenuName, enhancedSession)) {
+      return this.redirectToLogin(currentMenuName, enhancedSession, encryptedResponse ? 'process' : 'render');
+    }
+
     if (!encryptedResponse) {
       // New request - render current menu
       result = await menuService.renderMenu(currentMenuName, menuContext);
@@ -127,11 +144,35 @@ class UssdController {
     if (!result) {
       return {
         action: 'con',
-        message: 'System error. Please try again.',
+        message: i18nService.t('common.system_error', menuContext.language),
         retryMenu: currentMenuName
       };
     }
 
+    // Error results carry only errorMessage - show it above the retry menu
+    if (result.error && !result.message && !result.nextMenu) {
+      const retryMenuName = result.retryMenu || currentMenuName;
+      const retryContext = await menuService.buildMenuContext(enhancedSession);
+      const retryResult = await this.renderGuarded(retryMenuName, enhancedSession, retryContext);
+
+      if (retryMenuName !== currentMenuName) {
+        await sessionService.updateSession(msisdn, sessionId, shortcode, {
+          currentMenu: retryMenuName,
+          lastActivity: new Date().toISOString()
+        });
+      }
+
+      return {
+        ...retryResult,
+        message: `${result.errorMessage || i18nService.t('common.invalid_input', menuContext.language)}\n\n${retryResult.message}`
+      };
+    }
+
+    // Generic back - return to the previous screen on the history stack
+    if (result.goBack || result.nextMenu === 'back') {
+      return this.navigateBack(session, enhancedSession, currentMenuName);
+    }
+
     // Handle end action
     if (result.action === 'end') {
       await sessionService.clearSession(msisdn, sessionId, shortcode);
@@ -141,21 +182,35 @@ class UssdController {
 
     // Update session if next menu specified
     if (result.nextMenu) {
-      await sessionService.updateSession(msisdn, sessionId, shortcode, {
+      const updates = {
         currentMenu: result.nextMenu,
         lastActivity: new Date().toISOString()
-      });
+      };
+
+      if (result.nextMenu !== currentMenuName) {
+        Object.assign(updates, this.buildHistoryUpdate(session, enhancedSession, currentMenuName, result.nextMenu));
+        enhancedSession.menuPage = updates.menuPage;
+        enhancedSession.menuHistory = updates.menuHistory;
+      }
+
+      await sessionService.updateSession(msisdn, sessionId, shortcode, updates);
 
       // Render next menu if no message
       if (!result.message) {
         const newMenuContext = await menuService.buildMenuContext(enhancedSession);
-        const nextMenuResult = await menuService.renderMenu(result.nextMenu, newMenuContext);
-        
+        const nextMenuResult = await this.renderGuarded(result.nextMenu, enhancedSession, newMenuContext);
+
         if (nextMenuResult.action === 'end') {
           await sessionService.clearSession(msisdn, sessionId, shortcode);
           loggingService.logEnd();
+        } else if (nextMenuResult.nextMenu && nextMenuResult.nextMenu !== result.nextMenu) {
+          // The rendered handler sent its reply elsewhere, e.g. loans when the customer is not eligible
+          await sessionService.updateSession(msisdn, sessionId, shortcode, {
+            currentMenu: nextMenuResult.nextMenu,
+            ...this.buildHistoryUpdate(enhancedSession, enhancedSession, result.nextMenu, nextMenuResult.nextMenu)
+          });
         }
-        
+
         return nextMenuResult;
       }
     }
@@ -171,17 +226,157 @@ class UssdController {
     return result;
   }
 
+  async renderGuarded(menuName, enhancedSession, menuContext) {
+    if (!menuService.isAccessAllowed(menuName, enhancedSession)) {
+      return this.redirectToLogin(menuName, enhancedSession, 'render');
+    }
+    return menuService.renderMenu(menuName, menuContext);
+  }
+
+  async redirectToLogin(menuName, enhancedSession, attempt) {
+    const { msisdn, sessionId, shortcode } = enhancedSession;
+
+    loggingService.logAudit('UNAUTHENTICATED_MENU_ACCESS', {
+      msisdn,
+      session: sessionId,
+      shortcode,
+      menu: menuName,
+      attempt,
+      authStatus: enhancedSession.authStatus || 'pending'
+    });
+
+    await sessionService.updateSession(msisdn, sessionId, shortcode, {
+      currentMenu: 'home',
+      menuHistory: [],
+      menuPage: null,
+      lastActivity: new Date().toISOString()
+    });
+
+    enhancedSession.menuHistory = [];
+    enhancedSession.menuPage = null;
+
+    if (!enhancedSession.customerData) {
+      enhancedSession.customerData = await this.fetchCustomerData(enhancedSession);
+    }
+
+    const menuContext = await menuService.buildMenuContext(enhancedSession);
+    return menuService.renderMenu('home', menuContext);
+  }
+
+  buildHistoryUpdate(session, enhancedSession, currentMenuName, nextMenuName) {
+    // main_menu is the root once logged in: finished flows must not be replayed with back
+    if (nextMenuName === 'main_menu') {
+      return { menuHistory: [], menuPage: null };
+    }
+
+    const history = this.getHistory(session);
+    const previous = history[history.length - 1];
+
+    // Explicit back targets (e.g. "0": "balance") unwind the stack like a generic back
+    if (previous && previous.menu === nextMenuName) {
+      history.pop();
+      return { menuHistory: history, menuPage: this.restorePage(previous) };
+    }
+
+    // A different screen always starts on its first page
+    if (nextMenuName === 'end') {
+      return { menuHistory: history, menuPage: null };
+    }
+
+    // Remember the page the customer was on so back can restore it
+    const menuPage = enhancedSession.menuPage;
+    const entry = { menu: currentMenuName };
+    if (menuPage && menuPage.menu === currentMenuName) {
+      entry.page = menuPage.page;
+      entry.pageCount = menuPage.pageCount;
+    }
+
+    const maxHistory = menuService.getBusinessRule('session.maxMenuHistory') || 50;
+    return { menuHistory: [...history, entry].slice(-maxHistory), menuPage: null };
+  }
+
+  restorePage(entry) {
+    return entry.page !== undefined
+      ? { menu: entry.menu, page: entry.page, pageCount: entry.pageCount }
+      : null;
+  }
+
+  getHistory(session) {
+    // Older sessions stored plain menu names
+    return (session.menuHistory || []).map(entry => (typeof entry === 'string' ? { menu: entry } : entry));
+  }
+
+  async navigateBack(session, enhancedSession, currentMenuName) {
+    const { msisdn, sessionId, shortcode } = enhancedSession;
+    const history = this.getHistory(session);
+
+    // Skip entries pointing at the current screen (e.g. after a retry)
+    let previous = history.pop();
+    while (previous && previous.menu === currentMenuName) {
+      previous = history.pop();
+    }
+
+    let previousMenu = previous?.menu || 'home';
+    let menuPage = previous ? this.restorePage(previous) : null;
+
+    // Once logged in, main_menu is the bottom of the stack: never back into home or the PIN screens
+    if (enhancedSession.authStatus === 'authenticated' && !menuService.requiresAuth(previousMenu)) {
+      previousMenu = 'main_menu';
+      menuPage = null;
+      history.length = 0;
+    }
+
+    console.log(`Back navigation: ${currentMenuName} -> ${previousMenu}`);
+
+    await sessionService.updateSession(msisdn, sessionId, shortcode, {
+      currentMenu: previousMenu,
+      menuHistory: history,
+      menuPage,
+      lastActivity: new Date().toISOString()
+    });
+
+    enhancedSession.menuHistory = history;
+    enhancedSession.menuPage = menuPage;
+
+    const menuContext = await menuService.buildMenuContext(enhancedSession);
+    const result = await this.renderGuarded(previousMenu, enhancedSession, menuContext);
+
+    if (result.action === 'end') {
+      await sessionService.clearSession(msisdn, sessionId, shortcode);
+      loggingService.logEnd();
+    }
+
+    return result;
+  }
+
+  async serviceUnavailable(session) {
+    const language = await cacheService.get(`language_${session.msisdn}`);
+
+    await sessionService.clearSession(session.msisdn, session.sessionId, session.shortcode);
+    loggingService.logEnd();
+
+    return {
+      action: 'end',
+      message: i18nService.t('common.service_down', language)
+    };
+  }
+
   async fetchCustomerData(session) {
+    // A language picked from the Language menu outlives the session
+    const preferredLanguage = await cacheService.get(`language_${session.msisdn}`);
+
     try {
       const response = await apiService.getCustomer(session.msisdn, session);
 
-      if (response.success && response.data) {
+      if (response.unavailable) {
+        return null;
+      }
+
+      // parseCustomerResponse (GETCUSTOMER's parseFunction) builds the customer record
+      if (response.success && response.parsed) {
         const customerData = {
-          customerid: response.data.CUSTOMERID || 'GUEST',
-          firstname: response.data.FIRSTNAME || 'Customer',
-          lastname: response.data.LASTNAME || '',
-          accounts: response.data.BANKS ? response.data.BANKS.split(',').filter(a => a.trim()) : [],
-          language: response.data.LANGUAGE || 'EN'
+          ...response.parsed,
+          language: preferredLanguage || response.parsed.language
         };
 
         await session.updateSession({ customerData });
@@ -197,7 +392,7 @@ class UssdController {
       firstname: 'Customer',
       lastname: 'User',
       accounts: [],
-      language: 'EN'
+      language: preferredLanguage || 'EN'
     };
 
     await session.updateSession({ customerData: defaultCustomerData });
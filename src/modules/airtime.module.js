@@ -1,117 +1,390 @@
-const { loggingService } = require('../services/logging.service');
-const { apiService } = require('../services/api.service');
-const { validators } = require('../utils/validators');
+// src/modules/airtime.module.js
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const limitsService = require('../services/limits.service');
+const chargesService = require('../services/charges.service');
+const loggingService = require('../services/logging.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
 
 class AirtimeModule {
-  async processAirtimeConfirmation(response, session, context) {
-    try {
-      if (response !== '1') {
-        return {
-          nextMenu: 'mobilebanking',
-          message: 'Airtime purchase cancelled.'
-        };
-      }
+  // Own number: pick the account to pay from
+  async processOwnNumber(inputValue, session, context) {
+    return this.processSourceAccount(inputValue, session, context, {
+      menuName: 'airtime_self',
+      recipient: session.msisdn
+    });
+  }
 
-      // Get stored data
-      const network = context.network || await session.grab(session.msisdn, session.sessionId, session.shortcode, 'network');
-      const merchantId = context.merchantId || await session.grab(session.msisdn, session.sessionId, session.shortcode, 'merchantId');
-      const amount = context.airtime_amount || await session.grab(session.msisdn, session.sessionId, session.shortcode, 'airtime_amount');
-      const airtimeMode = await session.grab(session.msisdn, session.sessionId, session.shortcode, 'airtime_mode');
-      
-      let mobileNumber;
-      if (airtimeMode === 'own') {
-        mobileNumber = session.msisdn;
-      } else if (airtimeMode === 'other') {
-        // In real implementation, you'd ask for number first
-        mobileNumber = await session.grab(session.msisdn, session.sessionId, session.shortcode, 'airtime_recipient');
-      }
-      
-      // Validate
-      if (!validators.validateMsisdn(mobileNumber)) {
-        return {
-          error: true,
-          errorMessage: 'Invalid mobile number',
-          retryMenu: 'airtime'
-        };
-      }
+  // Other number: capture and validate the recipient first
+  async processOtherNumber(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
 
-      // Get PIN from session
-      const pin = await session.grab(session.msisdn, session.sessionId, session.shortcode, 'transaction_pin');
-      
-      if (!pin) {
+    const saved = await session.beneficiaries('mobile');
+
+    if (!inputValue) {
+      const prompt = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${t('airtime.enter_number')}`
+        : t('airtime.enter_number');
+
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const recipient = picked ? picked.value : formatters.normalizeMsisdn(inputValue);
+    const pattern = menuService.getValidationRule('msisdn.patterns.kenya') || '^254[0-9]{9}$';
+
+    if (!new RegExp(pattern).test(recipient)) {
+      return {
+        action: 'con',
+        message: `${t('airtime.invalid_number')}\n\n${t('airtime.enter_number')}\n\n${nav}`
+      };
+    }
+
+    await session.store('airtime_details', { recipient });
+
+    return {
+      nextMenu: 'airtime_account'
+    };
+  }
+
+  async processOtherNumberAccount(inputValue, session, context) {
+    const details = await session.grab('airtime_details');
+
+    if (!details?.recipient) {
+      return this.expired(context);
+    }
+
+    return this.processSourceAccount(inputValue, session, context, {
+      menuName: 'airtime_account',
+      recipient: details.recipient
+    });
+  }
+
+  async processSourceAccount(inputValue, session, context, { menuName, recipient }) {
+    const accounts = context.customer?.accounts || [];
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
         return {
-          nextMenu: 'pin',
-          store: { redirectAfterPin: 'airtime_confirm' }
+          action: 'con',
+          message: `${t('balance.no_accounts')}\n\n${nav}`
         };
       }
 
-      // Make API call
-      const result = await apiService.airtimePurchase(
-        merchantId,
-        session.customerData.accounts[0], // First account
-        mobileNumber,
-        amount,
-        pin,
-        session
-      );
-
-      if (result.success) {
-        // Log transaction
-        loggingService.logTransaction(
-          session.msisdn,
-          'airtime_purchase',
-          amount,
-          'success',
-          result.data[2] // Reference
-        );
+      const message = await menuService.renderPage(menuName, {
+        header: t('airtime.select_account', { number: formatters.localMsisdn(recipient) }),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    const network = this.detectNetwork(recipient);
+    await session.store('airtime_details', {
+      recipient,
+      sourceAccount: accounts[key],
+      ...network
+    });
+
+    // Numbers outside the configured prefixes (e.g. ported numbers) pick a network by hand
+    return {
+      nextMenu: network ? 'airtime_amount' : 'airtime_network'
+    };
+  }
+
+  async processNetworkSelection(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('airtime_details');
+    const networks = Object.keys(this.getEndpoint().networks || {});
+
+    if (!details?.sourceAccount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('airtime.select_network')}\n${networks.map((name, index) => `${index + 1}. ${name}`).join('\n')}\n\n${nav}`
+      };
+    }
+
+    const network = networks[parseInt(inputValue, 10) - 1];
+    if (!/^\d+$/.test(inputValue) || !network) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'airtime_network'
+      };
+    }
+
+    await session.store('airtime_details', {
+      ...details,
+      network,
+      merchantId: this.getEndpoint().networks[network]
+    });
+
+    return {
+      nextMenu: 'airtime_amount'
+    };
+  }
+
+  async processAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('airtime_details');
+    const limits = this.getLimits();
+
+    if (!details?.merchantId) {
+      return this.expired(context);
+    }
+
+    const prompt = t('airtime.enter_amount', {
+      network: details.network,
+      number: formatters.localMsisdn(details.recipient),
+      min: formatters.formatAmount(limits.minAmount),
+      max: formatters.formatAmount(limits.maxAmount)
+    });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
 
+    if (!validators.validateNumeric(inputValue, { min: limits.minAmount, max: limits.maxAmount })) {
+      return {
+        action: 'con',
+        message: `${t('airtime.amount_range', {
+          min: formatters.formatAmount(limits.minAmount),
+          max: formatters.formatAmount(limits.maxAmount)
+        })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    // charges.airtime is keyed by network
+    const quote = chargesService.calculate('airtime', inputValue, { subType: details.network });
+    const limitCheck = await limitsService.checkLimit(session, 'airtime', quote.total);
+    if (!limitCheck.allowed) {
+      return {
+        action: 'con',
+        message: `${limitsService.getLimitMessage(limitCheck, context.language)}\n\n${nav}`
+      };
+    }
+
+    await chargesService.applyToTransaction(session, 'airtime', quote.amount, { subType: details.network });
+    await session.store('airtime_details', {
+      ...details,
+      amount: quote.amount,
+      charge: quote.charge,
+      total: quote.total
+    });
+
+    return {
+      nextMenu: 'airtime_confirm'
+    };
+  }
+
+  async processConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('airtime_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('airtime.confirm', {
+          network: details.network,
+          number: formatters.localMsisdn(details.recipient),
+          amount: formatters.formatAmount(details.amount),
+          account: formatters.maskAccountNumber(details.sourceAccount),
+          charge: formatters.formatAmount(details.charge),
+          total: formatters.formatAmount(details.total)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'airtime_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('airtime_details');
+      await chargesService.clearTransaction(session);
+      return {
+        action: 'con',
+        message: `${t('airtime.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'airtime_confirm'
+    };
+  }
+
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('airtime_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('airtime.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'airtime', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('airtime_details');
         return {
           action: 'end',
-          message: `Airtime purchase successful!\n\nNetwork: ${network}\nAmount: KES ${amount}\nReference: ${result.data[2] || 'N/A'}\n\nThank you for using Sidian Bank.`
-        };
-      } else {
-        return {
-          action: 'con',
-          message: `Airtime purchase failed: ${result.message}\n\n1. Try again\n2. Cancel`
+          message: verification.message
         };
       }
 
-    } catch (error) {
-      loggingService.logError(error, {
-        msisdn: session.msisdn,
-        module: 'airtime'
-      });
-      
       return {
-        action: 'end',
-        message: 'Sorry, we encountered an error processing your airtime purchase. Please try again later.'
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('airtime_details');
+    await chargesService.clearTransaction(session);
+    return this.purchaseAirtime(details, session, context);
+  }
+
+  async purchaseAirtime(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = this.getEndpoint();
+
+    const data = [
+      `MERCHANTID:${details.merchantId}`,
+      `BANKACCOUNTID:${details.sourceAccount}`,
+      `ACCOUNTID:${details.recipient}`,
+      `AMOUNT:${details.amount}`,
+      `ACTION:${endpoint.action || 'PAYBILL'}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('AIRTIME_PURCHASE', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('airtime.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
       };
     }
+
+    await limitsService.recordTransaction(session, 'airtime', details.total);
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit('AIRTIME_PURCHASE', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      recipient: details.recipient,
+      network: details.network,
+      account: formatters.maskAccountNumber(details.sourceAccount),
+      amount: details.amount,
+      reference
+    });
+
+    // Top-ups for the customer's own number are never offered as a beneficiary
+    const offered = details.recipient !== formatters.normalizeMsisdn(session.msisdn) &&
+      await session.offerBeneficiary('mobile', { value: details.recipient });
+
+    return {
+      action: 'con',
+      message: `${t('airtime.success', {
+        network: details.network,
+        number: formatters.localMsisdn(details.recipient),
+        amount: formatters.formatAmount(details.amount),
+        reference
+      })}\n\n${offered ? `${t('beneficiary.offer')}\n` : ''}${nav}`,
+      nextMenu: offered ? 'beneficiary_save' : 'main_menu'
+    };
+  }
+
+  // msisdn.prefixes in validation-rules.json, matched to the AIRTIME_PURCHASE networks
+  detectNetwork(msisdn) {
+    const prefixes = menuService.getValidationRule('msisdn.prefixes') || {};
+    const detected = validators.detectNetwork(formatters.normalizeMsisdn(msisdn), prefixes);
+    if (!detected) return null;
+
+    const networks = this.getEndpoint().networks || {};
+    const network = Object.keys(networks).find(name => name.toLowerCase() === detected.toLowerCase());
+    return network ? { network, merchantId: networks[network] } : null;
+  }
+
+  getEndpoint() {
+    return menuService.getApiEndpoint('AIRTIME_PURCHASE') || {};
   }
 
-  async validateAirtimeAmount(amount, context) {
-    const min = 10;
-    const max = 5000;
-    
-    if (!validators.validateAmount(amount, { min, max })) {
-      return `Amount must be between KES ${min} and KES ${max}`;
-    }
-    
-    // Check daily limits
-    const dailySpent = await this.getDailyAirtimeSpent(context.customer.customerid);
-    const dailyLimit = 10000; // From business rules
-    
-    if (dailySpent + parseInt(amount) > dailyLimit) {
-      return `Daily airtime limit exceeded. You can only purchase KES ${dailyLimit - dailySpent} more today.`;
-    }
-    
-    return true;
+  getLimits() {
+    return {
+      minAmount: 10,
+      maxAmount: 5000,
+      ...menuService.getBusinessRule('transactionLimits.airtime')
+    };
   }
 
-  async getDailyAirtimeSpent(customerId) {
-    // In real implementation, query Redis/database for daily transactions
-    return 0;
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('airtime.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
   }
 }
 
-module.exports = new AirtimeModule();
\ No newline at end of file
+module.exports = new AirtimeModule();
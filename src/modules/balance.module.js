@@ -1,25 +1,32 @@
 // src/modules/balance.module.js
 const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
 
 class BalanceModule {
   async processBalanceRequest(inputValue, session, context) {
     const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
 
     // Initial render - show account list
     if (!inputValue) {
       if (accounts.length === 0) {
         return {
           action: 'con',
-          message: 'No accounts found.\n\n0. Back\n00. Exit',
+          message: `${t('balance.no_accounts')}\n\n${nav}`,
           retryMenu: 'my_account'
         };
       }
 
-      let message = 'Select Account:\n';
-      accounts.forEach((account, index) => {
-        message += `${index + 1}. ${this.formatAccountNumber(account)}\n`;
-      });
-      message += '\n0. Back\n00. Exit';
+      // Long account lists are split into pages with "98. More"
+      const message = await menuService.renderPage('balance', {
+        header: t('balance.select_account'),
+        items: accounts.map((account, index) => ({ index, text: this.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
 
       return {
         action: 'con',
@@ -31,7 +38,7 @@ class BalanceModule {
     if (!/^\d+$/.test(inputValue)) {
       return {
         action: 'con',
-        message: 'Invalid selection. Please enter a number.\n\n0. Back\n00. Exit',
+        message: `${t('balance.enter_number')}\n\n${nav}`,
         retryMenu: 'balance'
       };
     }
@@ -41,7 +48,7 @@ class BalanceModule {
     if (key < 0 || key >= accounts.length) {
       return {
         action: 'con',
-        message: 'Invalid account selection.\n\n0. Back\n00. Exit',
+        message: `${t('balance.invalid_account')}\n\n${nav}`,
         retryMenu: 'balance'
       };
     }
@@ -57,8 +64,8 @@ class BalanceModule {
   }
 
   async processBalancePin(inputValue, session, context) {
-    const customer = context.customer || {};
-    const customerName = customer.firstname || customer.lastname || 'Customer';
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
     
     // Get stored account
     const selectedAccount = await session.grab('balance_selected_account');
@@ -68,14 +75,14 @@ class BalanceModule {
       if (!selectedAccount) {
         return {
           action: 'con',
-          message: 'No account selected.\n\n0. Back\n00. Exit',
+          message: `${t('balance.no_account_selected')}\n\n${nav}`,
           retryMenu: 'balance'
         };
       }
 
       return {
         action: 'con',
-        message: `Enter your PIN to check balance for account ${this.formatAccountNumber(selectedAccount)}:\n\n0. Back\n00. Exit`
+        message: `${t('balance.enter_pin', { account: this.formatAccountNumber(selectedAccount) })}\n\n${nav}`
       };
     }
 
@@ -83,7 +90,7 @@ class BalanceModule {
     if (inputValue.length < 4 || inputValue.length > 6 || !/^\d+$/.test(inputValue)) {
       return {
         action: 'con',
-        message: 'PIN must be 4-6 digits\n\nEnter your PIN:\n\n0. Back\n00. Exit',
+        message: `${t('balance.pin_format')}\n\n${nav}`,
         retryMenu: 'balance_pin'
       };
     }
@@ -91,34 +98,24 @@ class BalanceModule {
     // Store PIN attempt
     await session.store('balance_pin_attempt', inputValue);
 
-    // Verify PIN with login API
-    try {
-      const loginResult = await apiService.login(
-        session.customerData,
-        session.msisdn,
-        session,
-        inputValue
-      );
-
-      if (loginResult.success) {
-        // PIN is valid, proceed to fetch balance
-        return await this.fetchBalance(session, context);
-      } else {
-        // PIN is invalid
-        const errorMsg = loginResult.error || 'Invalid PIN';
+    // Verify PIN with login API; failures count towards the shared lockout
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'balance', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
         return {
-          action: 'con',
-          message: `${errorMsg}\n\nEnter your PIN:\n\n0. Back\n00. Exit`,
-          retryMenu: 'balance_pin'
+          action: 'end',
+          message: verification.message
         };
       }
-    } catch (error) {
+
       return {
         action: 'con',
-        message: 'PIN verification failed. Please try again.\n\nEnter your PIN:\n\n0. Back\n00. Exit',
+        message: `${t('balance.pin_retry', { error: verification.message })}\n\n${nav}`,
         retryMenu: 'balance_pin'
       };
     }
+
+    return this.fetchBalance(session, context);
   }
 
   async fetchBalance(session, context) {
@@ -140,7 +137,7 @@ class BalanceModule {
       await session.blank('balance_selected_account');
       await session.blank('balance_pin_attempt');
 
-      return this.handleBalanceResponse(balanceResult, customerName);
+      return this.handleBalanceResponse(balanceResult, customerName, context.language);
 
     } catch (error) {
       // Clear stored data on error too
@@ -151,45 +148,37 @@ class BalanceModule {
     }
   }
 
-  handleBalanceResponse(balanceResult, customerName) {
+  handleBalanceResponse(balanceResult, customerName, language) {
+    const nav = i18nService.t('common.nav_back_exit', language);
+
     if (balanceResult.success || balanceResult.status === '000' || balanceResult.status === 'OK') {
-      const message = balanceResult.data.MESSAGE || balanceResult.data.DATA || '';
-      let formattedMessage = this.parsePipeSeparatedResponse(message);
+      let formattedMessage = this.formatBalances(balanceResult.parsed);
 
       if (!formattedMessage) {
-        formattedMessage = 'Balance inquiry successful.';
+        formattedMessage = i18nService.t('balance.success', language);
       }
 
       return {
         action: 'con',
-        message: `${formattedMessage}\n\n0. Back\n00. Exit`,
+        message: `${formattedMessage}\n\n${nav}`,
         nextMenu: 'main_menu'
       };
     } else {
       const errorMsg = balanceResult.error || balanceResult.message || 'Service temporarily unavailable';
       return {
         action: 'con',
-        message: `Dear ${customerName}, ${errorMsg}\n\n0. Back\n00. Exit`,
+        message: `${i18nService.t('balance.failed', language, { name: customerName, error: errorMsg })}\n\n${nav}`,
         nextMenu: 'main_menu'
       };
     }
   }
 
-  parsePipeSeparatedResponse(message) {
-    if (!message || !message.includes('|')) {
-      return message;
-    }
-
-    const parts = message.split('|');
-    let result = '';
-
-    for (let i = 0; i < parts.length; i += 2) {
-      if (parts[i] && parts[i + 1]) {
-        result += `${parts[i]}: ${parts[i + 1]}\n`;
-      }
-    }
+  // { balances: [{ label, value }], message } from parseBalanceResponse
+  formatBalances(parsed) {
+    if (!parsed) return '';
+    if (parsed.balances.length === 0) return parsed.message;
 
-    return result.trim();
+    return parsed.balances.map(balance => `${balance.label}: ${balance.value}`).join('\n');
   }
 
   handleBalanceError(error, context) {
@@ -198,7 +187,7 @@ class BalanceModule {
 
     return {
       action: 'con',
-      message: `Dear ${customerName}, sorry the service is temporarily unavailable. Please try again later.\n\n0. Back\n00. Exit`,
+      message: `${i18nService.t('balance.unavailable', context.language, { name: customerName })}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
       nextMenu: 'home'
     };
   }
@@ -0,0 +1,306 @@
+// src/modules/beneficiaries.module.js
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const loggingService = require('../services/logging.service');
+const formatters = require('../utils/formatters');
+
+// Types the customer can add by hand; bill accounts are only saved after a payment
+const MANUAL_TYPES = ['account', 'mobile'];
+
+class BeneficiariesModule {
+  // Saved beneficiaries across all types; selecting one offers to delete it
+  async processList(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const beneficiaries = await beneficiaryService.list(session);
+
+    if (!inputValue) {
+      if (beneficiaries.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('beneficiary.none')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('beneficiary_list', {
+        header: t('beneficiary.list'),
+        items: beneficiaries.map((item, index) => ({ index, text: this.describe(item, context.language) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= beneficiaries.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'beneficiary_list'
+      };
+    }
+
+    await session.store('beneficiary_selected', beneficiaries[key]);
+
+    return {
+      nextMenu: 'beneficiary_delete'
+    };
+  }
+
+  async processDelete(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const beneficiary = await session.grab('beneficiary_selected');
+
+    if (!beneficiary?.value) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${this.describe(beneficiary, context.language)}\n\n${t('beneficiary.delete_prompt')}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('beneficiary_selected');
+      return {
+        nextMenu: 'beneficiary_list'
+      };
+    }
+
+    if (inputValue !== '1') {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'beneficiary_delete'
+      };
+    }
+
+    await session.blank('beneficiary_selected');
+    const removed = await beneficiaryService.remove(session, beneficiary.type, beneficiary);
+
+    if (removed) {
+      loggingService.logAudit('BENEFICIARY_DELETED', {
+        msisdn: session.msisdn,
+        customerId: context.customer?.customerid,
+        type: beneficiary.type,
+        biller: beneficiary.biller,
+        bank: beneficiary.bank
+      });
+    }
+
+    return {
+      action: 'con',
+      message: `${t(removed ? 'beneficiary.deleted' : 'common.system_error', { name: beneficiary.name })}\n\n${nav}`,
+      nextMenu: 'beneficiaries'
+    };
+  }
+
+  // Add - 1. Sidian account / 2. Mobile number
+  async processAddType(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      await session.blank('beneficiary_new');
+      return {
+        action: 'con',
+        message: `${t('beneficiary.select_type')}\n\n${nav}`
+      };
+    }
+
+    const type = MANUAL_TYPES[parseInt(inputValue, 10) - 1];
+    if (!/^\d$/.test(inputValue) || !type) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'beneficiary_add'
+      };
+    }
+
+    await session.store('beneficiary_new', { type });
+
+    return {
+      nextMenu: 'beneficiary_value'
+    };
+  }
+
+  async processValue(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('beneficiary_new');
+
+    if (!MANUAL_TYPES.includes(details?.type)) {
+      return this.expired(context);
+    }
+
+    const prompt = t(`beneficiary.enter_${details.type}`);
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    const value = details.type === 'mobile'
+      ? formatters.normalizeMsisdn(inputValue)
+      : inputValue.replace(/\s/g, '');
+    const pattern = details.type === 'mobile'
+      ? menuService.getValidationRule('msisdn.patterns.kenya') || '^254[0-9]{9}$'
+      : menuService.getValidationRule('account.patterns.withCheckDigit') || '^[0-9]{8,15}$';
+
+    if (!new RegExp(pattern).test(value)) {
+      return {
+        action: 'con',
+        message: `${t(`beneficiary.invalid_${details.type}`)}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    if (await beneficiaryService.find(session, details.type, { value })) {
+      return {
+        action: 'con',
+        message: `${t('beneficiary.duplicate')}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    await session.store('beneficiary_new', { ...details, value });
+
+    return {
+      nextMenu: 'beneficiary_name'
+    };
+  }
+
+  // Nickname, used by manual adds and by post-transaction offers without a looked-up name
+  async processName(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('beneficiary_new');
+
+    if (!details?.value) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('beneficiary.enter_name')}\n\n${nav}`
+      };
+    }
+
+    const name = inputValue.trim().replace(/\s+/g, ' ');
+    const pattern = menuService.getValidationRule('name.pattern') || '^[A-Za-z\\s]{2,50}$';
+
+    if (!new RegExp(pattern).test(name)) {
+      return {
+        action: 'con',
+        message: `${t('beneficiary.invalid_name')}\n\n${t('beneficiary.enter_name')}\n\n${nav}`
+      };
+    }
+
+    await session.blank('beneficiary_new');
+    return this.save({ ...details, name }, session, context);
+  }
+
+  // Shown after a successful transaction when beneficiaryService.offer() kept the recipient
+  async processSaveOffer(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const offer = await session.grab('beneficiary_offer');
+
+    if (!offer?.value) {
+      return {
+        nextMenu: 'main_menu'
+      };
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('beneficiary.offer')}\n${nav}`
+      };
+    }
+
+    if (inputValue !== '1') {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${t('beneficiary.offer')}\n${nav}`,
+        retryMenu: 'beneficiary_save'
+      };
+    }
+
+    await session.blank('beneficiary_offer');
+
+    if (!offer.name) {
+      await session.store('beneficiary_new', offer);
+      return {
+        nextMenu: 'beneficiary_name'
+      };
+    }
+
+    return this.save(offer, session, context);
+  }
+
+  async save(beneficiary, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const { type, ...details } = beneficiary;
+    const result = await beneficiaryService.add(session, type, details);
+
+    if (!result.success) {
+      const message = result.duplicate
+        ? t('beneficiary.duplicate')
+        : result.full ? t('beneficiary.full', { max: result.max }) : t('common.system_error');
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    loggingService.logAudit('BENEFICIARY_ADDED', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      type,
+      biller: beneficiary.biller,
+      bank: beneficiary.bank
+    });
+
+    return {
+      action: 'con',
+      message: `${t('beneficiary.saved', { name: beneficiary.name })}\n\n${nav}`,
+      nextMenu: 'main_menu'
+    };
+  }
+
+  // Bill and PesaLink accounts are labelled with their biller or bank, everything else with its type
+  describe(beneficiary, language) {
+    const biller = beneficiary.biller
+      ? (menuService.getBusinessRule('billers') || []).find(item => item.code === beneficiary.biller)
+      : null;
+    const bank = beneficiary.bank
+      ? (menuService.getBusinessRule('pesalink.banks') || []).find(item => item.code === beneficiary.bank)
+      : null;
+    const label = biller?.name || bank?.name || i18nService.t(`beneficiary.type_${beneficiary.type}`, language);
+
+    return `${beneficiaryService.describe(beneficiary)} (${label})`;
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('beneficiary.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'beneficiaries'
+    };
+  }
+}
+
+module.exports = new BeneficiariesModule();
@@ -0,0 +1,433 @@
+// src/modules/bills.module.js
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const limitsService = require('../services/limits.service');
+const chargesService = require('../services/charges.service');
+const loggingService = require('../services/logging.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+class BillsModule {
+  async processBillerSelection(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const billers = this.getBillers();
+
+    if (!inputValue) {
+      if (billers.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('bills.no_billers')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('bill_payments', {
+        header: t('bills.select_biller'),
+        items: billers.map((biller, index) => ({ index, text: biller.name })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= billers.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'bill_payments'
+      };
+    }
+
+    await session.store('bill_details', { biller: billers[key].code });
+
+    return {
+      nextMenu: 'bill_account'
+    };
+  }
+
+  async processBillAccount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('bill_details');
+    const biller = this.getBiller(details?.biller);
+
+    if (!biller) {
+      return this.expired(context);
+    }
+
+    const prompt = t('bills.enter_account', { biller: biller.name });
+    const saved = (await session.beneficiaries('bill')).filter(item => item.biller === biller.code);
+
+    if (!inputValue) {
+      const message = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${prompt}`
+        : prompt;
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const billAccount = picked ? picked.value : inputValue;
+
+    if (biller.accountPattern && !new RegExp(biller.accountPattern).test(billAccount)) {
+      return {
+        action: 'con',
+        message: `${t('bills.invalid_account', { biller: biller.name })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    let bill = {};
+    if (biller.queryAmount) {
+      bill = await this.queryBill(biller, billAccount, session);
+
+      if (!bill.success) {
+        return {
+          action: 'con',
+          message: `${t('bills.query_failed', { account: billAccount })}\n\n${prompt}\n\n${nav}`
+        };
+      }
+    }
+
+    await session.store('bill_details', {
+      biller: biller.code,
+      billAccount,
+      accountName: bill.name,
+      amountDue: bill.amount
+    });
+
+    return {
+      nextMenu: 'bill_source'
+    };
+  }
+
+  async processSourceAccount(inputValue, session, context) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('bill_details');
+
+    if (!details?.billAccount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('balance.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('bill_source', {
+        header: t('bills.select_account'),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'bill_source'
+      };
+    }
+
+    await session.store('bill_details', { ...details, sourceAccount: accounts[key] });
+
+    return {
+      nextMenu: 'bill_amount'
+    };
+  }
+
+  async processAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('bill_details');
+    const biller = this.getBiller(details?.biller);
+
+    if (!biller || !details.sourceAccount) {
+      return this.expired(context);
+    }
+
+    const limits = this.getLimits(biller);
+    const range = {
+      min: formatters.formatAmount(limits.minAmount),
+      max: formatters.formatAmount(limits.maxAmount)
+    };
+
+    // Billers that support a query show what is owed; the customer may still pay a different amount
+    const prompt = details.amountDue !== undefined
+      ? t('bills.enter_amount_due', {
+        biller: biller.name,
+        name: details.accountName || details.billAccount,
+        due: formatters.formatAmount(details.amountDue),
+        ...range
+      })
+      : t('bills.enter_amount', { biller: biller.name, account: details.billAccount, ...range });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateNumeric(inputValue, { min: limits.minAmount, max: limits.maxAmount })) {
+      return {
+        action: 'con',
+        message: `${t('bills.invalid_amount', range)}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    // charges.bills is either a flat fee or keyed by biller code
+    const quote = chargesService.calculate('bills', inputValue, { subType: biller.code });
+    const limitCheck = await limitsService.checkLimit(session, 'bills', quote.total);
+    if (!limitCheck.allowed) {
+      return {
+        action: 'con',
+        message: `${limitsService.getLimitMessage(limitCheck, context.language)}\n\n${nav}`
+      };
+    }
+
+    await chargesService.applyToTransaction(session, 'bills', quote.amount, { subType: biller.code });
+    await session.store('bill_details', {
+      ...details,
+      amount: quote.amount,
+      charge: quote.charge,
+      total: quote.total
+    });
+
+    return {
+      nextMenu: 'bill_confirm'
+    };
+  }
+
+  async processConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('bill_details');
+    const biller = this.getBiller(details?.biller);
+
+    if (!biller || !details.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('bills.confirm', {
+          biller: biller.name,
+          account: details.billAccount,
+          name: details.accountName ? `\n${details.accountName}` : '',
+          amount: formatters.formatAmount(details.amount),
+          source: formatters.maskAccountNumber(details.sourceAccount),
+          charge: formatters.formatAmount(details.charge),
+          total: formatters.formatAmount(details.total)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'bill_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('bill_details');
+      await chargesService.clearTransaction(session);
+      return {
+        action: 'con',
+        message: `${t('bills.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'bill_confirm'
+    };
+  }
+
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('bill_details');
+    const biller = this.getBiller(details?.biller);
+
+    if (!biller || !details.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('bills.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'bills', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('bill_details');
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('bill_details');
+    await chargesService.clearTransaction(session);
+    return this.payBill(biller, details, session, context);
+  }
+
+  async payBill(biller, details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = menuService.getApiEndpoint('BILL_PAYMENT') || {};
+
+    const data = [
+      `MERCHANTID:${biller.merchantId}`,
+      `BANKACCOUNTID:${details.sourceAccount}`,
+      `ACCOUNTID:${details.billAccount}`,
+      `AMOUNT:${details.amount}`,
+      `ACTION:${endpoint.action || 'PAYBILL'}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('BILL_PAYMENT', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('bills.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    await limitsService.recordTransaction(session, 'bills', details.total);
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit('BILL_PAYMENT', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      biller: biller.code,
+      billAccount: details.billAccount,
+      account: formatters.maskAccountNumber(details.sourceAccount),
+      amount: details.amount,
+      charge: details.charge,
+      reference
+    });
+
+    // Prepaid billers (e.g. electricity tokens) return the token alongside the reference
+    const token = result.parsed?.token ? `\n${t('bills.token', { token: result.parsed.token })}` : '';
+
+    const offered = await session.offerBeneficiary('bill', {
+      value: details.billAccount,
+      name: details.accountName,
+      biller: biller.code
+    });
+
+    return {
+      action: 'con',
+      message: `${t('bills.success', {
+        biller: biller.name,
+        account: details.billAccount,
+        amount: formatters.formatAmount(details.amount),
+        reference
+      })}${token}\n\n${offered ? `${t('beneficiary.offer')}\n` : ''}${nav}`,
+      nextMenu: offered ? 'beneficiary_save' : 'main_menu'
+    };
+  }
+
+  async queryBill(biller, billAccount, session) {
+    const endpoint = menuService.getApiEndpoint('BILL_QUERY') || {};
+    const data = `MERCHANTID:${endpoint.merchantId || 'BILLQUERY'}:BILLER:${biller.merchantId}:ACCOUNTID:${billAccount}:MOBILENUMBER:${session.msisdn}`;
+
+    try {
+      const result = await apiService.call('BILL_QUERY', data, session);
+      const amount = parseFloat(result.data?.AMOUNT);
+
+      if (!result.success || Number.isNaN(amount)) {
+        return { success: false };
+      }
+
+      return {
+        success: true,
+        amount,
+        name: result.data.ACCOUNTNAME ? result.data.ACCOUNTNAME.trim() : undefined
+      };
+    } catch (error) {
+      console.error('Bill query error:', error.message);
+      return { success: false };
+    }
+  }
+
+  // billers in business-rules.json, listed in display order
+  getBillers() {
+    return menuService.getBusinessRule('billers') || [];
+  }
+
+  getBiller(code) {
+    return this.getBillers().find(biller => biller.code === code);
+  }
+
+  // Per-biller amounts override transactionLimits.bills
+  getLimits(biller) {
+    const limits = {
+      minAmount: 10,
+      maxAmount: 150000,
+      ...menuService.getBusinessRule('transactionLimits.bills')
+    };
+
+    return {
+      minAmount: biller.minAmount ?? limits.minAmount,
+      maxAmount: biller.maxAmount ?? limits.maxAmount
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('bills.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new BillsModule();
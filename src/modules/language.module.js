@@ -0,0 +1,35 @@
+// src/modules/language.module.js
+const cacheService = require('../services/cache.service');
+
+class LanguageModule {
+  constructor() {
+    this.choices = { '1': 'EN', '2': 'SW' };
+    this.preferenceTTL = 90 * 24 * 60 * 60;
+  }
+
+  async selectLanguage(inputValue, session, context) {
+    // Initial render uses the menu message
+    if (!inputValue) {
+      return null;
+    }
+
+    const language = this.choices[inputValue];
+    if (!language) {
+      return null;
+    }
+
+    await session.updateSession({ language });
+    session.language = language;
+
+    // Remember the choice for future sessions on this number
+    await cacheService.set(`language_${session.msisdn}`, language, this.preferenceTTL);
+
+    console.log(`Language set to ${language} for ${session.msisdn}`);
+
+    return {
+      nextMenu: 'back'
+    };
+  }
+}
+
+module.exports = new LanguageModule();
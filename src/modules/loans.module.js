@@ -0,0 +1,641 @@
+// src/modules/loans.module.js
+const moment = require('moment-timezone');
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const loggingService = require('../services/logging.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+class LoansModule {
+  // Eligibility / limit check
+  async processEligibility(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      const eligibility = await this.fetchEligibility(session, context);
+
+      if (!eligibility.success) {
+        return {
+          action: 'con',
+          message: `${t('loans.lookup_failed', { error: eligibility.error || t('common.system_error') })}\n\n${nav}`
+        };
+      }
+
+      if (!eligibility.eligible) {
+        return {
+          action: 'con',
+          message: `${t('loans.not_eligible', { reason: eligibility.reason || '' })}\n\n${nav}`
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('loans.limit', { limit: formatters.formatAmount(eligibility.limit) })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'loan_apply'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'loan_limit'
+    };
+  }
+
+  // Application step 1 - amount within the customer's limit
+  async processApplyAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const rules = this.getRules();
+
+    if (!inputValue) {
+      const eligibility = await this.fetchEligibility(session, context);
+
+      if (!eligibility.success || !eligibility.eligible) {
+        await session.blank('loan_details');
+        return {
+          action: 'con',
+          message: `${eligibility.success
+            ? t('loans.not_eligible', { reason: eligibility.reason || '' })
+            : t('loans.lookup_failed', { error: eligibility.error || t('common.system_error') })}\n\n${nav}`,
+          nextMenu: 'loans'
+        };
+      }
+
+      await session.store('loan_details', { limit: eligibility.limit });
+
+      return {
+        action: 'con',
+        message: `${t('loans.enter_amount', {
+          min: formatters.formatAmount(rules.minAmount),
+          max: formatters.formatAmount(eligibility.limit)
+        })}\n\n${nav}`
+      };
+    }
+
+    const details = await session.grab('loan_details');
+    if (!details?.limit) {
+      return this.expired(context);
+    }
+
+    const range = {
+      min: formatters.formatAmount(rules.minAmount),
+      max: formatters.formatAmount(details.limit)
+    };
+
+    if (!validators.validateNumeric(inputValue, { min: rules.minAmount, max: details.limit })) {
+      return {
+        action: 'con',
+        message: `${t('loans.invalid_amount', range)}\n\n${t('loans.enter_amount', range)}\n\n${nav}`
+      };
+    }
+
+    await session.store('loan_details', { ...details, amount: Number(inputValue) });
+
+    return {
+      nextMenu: 'loan_tenor'
+    };
+  }
+
+  // Application step 2 - tenor from loans.tenors in business-rules.json
+  async processTenor(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('loan_details');
+    const tenors = this.getRules().tenors;
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      const options = tenors.map((tenor, index) => `${index + 1}. ${t('loans.tenor_option', {
+        days: tenor.days,
+        rate: tenor.interestRate
+      })}`);
+
+      return {
+        action: 'con',
+        message: `${t('loans.select_tenor')}\n${options.join('\n')}\n\n${nav}`
+      };
+    }
+
+    const tenor = tenors[parseInt(inputValue, 10) - 1];
+    if (!/^\d+$/.test(inputValue) || !tenor) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'loan_tenor'
+      };
+    }
+
+    await session.store('loan_details', {
+      ...details,
+      ...this.calculateLoan(details.amount, tenor)
+    });
+
+    return {
+      nextMenu: 'loan_account'
+    };
+  }
+
+  // Application step 3 - account the loan is disbursed to
+  async processDisbursementAccount(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, {
+      menuName: 'loan_account',
+      storeKey: 'loan_details',
+      required: 'tenor',
+      header: 'loans.select_disbursement',
+      nextMenu: 'loan_summary'
+    });
+  }
+
+  // Application step 4 - summary with interest and repayment date
+  async processSummary(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('loan_details');
+
+    if (!details?.account) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('loans.summary', {
+          amount: formatters.formatAmount(details.amount),
+          rate: details.interestRate,
+          interest: formatters.formatAmount(details.interest),
+          total: formatters.formatAmount(details.repayable),
+          dueDate: details.dueDate,
+          account: formatters.maskAccountNumber(details.account)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'loan_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('loan_details');
+      return {
+        action: 'con',
+        message: `${t('loans.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'loan_summary'
+    };
+  }
+
+  async processApplicationPin(inputValue, session, context) {
+    const details = await session.grab('loan_details');
+
+    if (!details?.account) {
+      return this.expired(context);
+    }
+
+    return this.verifyPin(inputValue, session, context, {
+      storeKey: 'loan_details',
+      prompt: 'loans.enter_pin',
+      onSuccess: () => this.submitApplication(details, session, context)
+    });
+  }
+
+  async submitApplication(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    const data = [
+      `LOANAMOUNT:${details.amount}`,
+      `TENOR:${details.tenor}`,
+      `BANKACCOUNTID:${details.account}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('LOAN_APPLICATION', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('loans.apply_failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit('LOAN_APPLICATION', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      account: formatters.maskAccountNumber(details.account),
+      amount: details.amount,
+      tenor: details.tenor,
+      reference
+    });
+
+    // The backend's figures win over our estimate when it returns them
+    return {
+      action: 'con',
+      message: `${t('loans.apply_success', {
+        amount: formatters.formatAmount(details.amount),
+        account: formatters.maskAccountNumber(details.account),
+        total: formatters.formatAmount(result.data.REPAYABLE || details.repayable),
+        dueDate: result.data.DUEDATE || details.dueDate,
+        reference
+      })}\n\n${nav}`,
+      nextMenu: 'main_menu'
+    };
+  }
+
+  // Repayment step 1 - outstanding balance and source account
+  async processRepayAccount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      const status = await this.fetchStatus(session, context);
+
+      if (!status.success) {
+        return {
+          action: 'con',
+          message: `${t('loans.lookup_failed', { error: status.error || t('common.system_error') })}\n\n${nav}`
+        };
+      }
+
+      if (!status.balance) {
+        await session.blank('loan_repayment');
+        return {
+          action: 'con',
+          message: `${t('loans.no_active_loan')}\n\n${nav}`
+        };
+      }
+
+      await session.store('loan_repayment', { balance: status.balance, dueDate: status.dueDate });
+    }
+
+    return this.processAccountSelection(inputValue, session, context, {
+      menuName: 'loan_repay',
+      storeKey: 'loan_repayment',
+      required: 'balance',
+      header: 'loans.select_repay_account',
+      nextMenu: 'loan_repay_amount'
+    });
+  }
+
+  // Repayment step 2 - partial or full amount
+  async processRepayAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('loan_repayment');
+
+    if (!details?.account) {
+      return this.expired(context);
+    }
+
+    const prompt = t('loans.enter_repay_amount', {
+      balance: formatters.formatAmount(details.balance),
+      dueDate: details.dueDate || '-'
+    });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateNumeric(inputValue, { min: 1, max: Math.ceil(details.balance) })) {
+      return {
+        action: 'con',
+        message: `${t('loans.invalid_repay_amount', {
+          balance: formatters.formatAmount(details.balance)
+        })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    await session.store('loan_repayment', {
+      ...details,
+      amount: Math.min(Number(inputValue), details.balance)
+    });
+
+    return {
+      nextMenu: 'loan_repay_confirm'
+    };
+  }
+
+  async processRepayConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('loan_repayment');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('loans.confirm_repay', {
+          amount: formatters.formatAmount(details.amount),
+          account: formatters.maskAccountNumber(details.account),
+          remaining: formatters.formatAmount(details.balance - details.amount)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'loan_repay_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('loan_repayment');
+      return {
+        action: 'con',
+        message: `${t('loans.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'loan_repay_confirm'
+    };
+  }
+
+  async processRepayPin(inputValue, session, context) {
+    const details = await session.grab('loan_repayment');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    return this.verifyPin(inputValue, session, context, {
+      storeKey: 'loan_repayment',
+      prompt: 'loans.enter_pin',
+      onSuccess: () => this.submitRepayment(details, session, context)
+    });
+  }
+
+  async submitRepayment(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    const data = [
+      `AMOUNT:${details.amount}`,
+      `BANKACCOUNTID:${details.account}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('LOAN_REPAYMENT', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('loans.repay_failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    const reference = result.parsed?.reference || 'N/A';
+    const balance = result.data.LOANBALANCE !== undefined
+      ? parseFloat(result.data.LOANBALANCE)
+      : details.balance - details.amount;
+
+    loggingService.logAudit('LOAN_REPAYMENT', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      account: formatters.maskAccountNumber(details.account),
+      amount: details.amount,
+      reference
+    });
+
+    return {
+      action: 'con',
+      message: `${t('loans.repay_success', {
+        amount: formatters.formatAmount(details.amount),
+        balance: formatters.formatAmount(balance),
+        reference
+      })}\n\n${nav}`,
+      nextMenu: 'main_menu'
+    };
+  }
+
+  // Balance / status lookup
+  async processStatus(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (inputValue) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'loan_status'
+      };
+    }
+
+    const status = await this.fetchStatus(session, context);
+
+    if (!status.success) {
+      return {
+        action: 'con',
+        message: `${t('loans.lookup_failed', { error: status.error || t('common.system_error') })}\n\n${nav}`
+      };
+    }
+
+    if (!status.balance) {
+      return {
+        action: 'con',
+        message: `${t('loans.no_active_loan')}\n\n${nav}`
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('loans.status', {
+        balance: formatters.formatAmount(status.balance),
+        amount: formatters.formatAmount(status.amount),
+        dueDate: status.dueDate || '-',
+        status: status.status || '-'
+      })}\n\n${nav}`
+    };
+  }
+
+  async processAccountSelection(inputValue, session, context, { menuName, storeKey, required, header, nextMenu }) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab(storeKey);
+
+    if (!details?.[required]) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('balance.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage(menuName, {
+        header: i18nService.t(header, context.language, {
+          balance: formatters.formatAmount(details.balance)
+        }),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    await session.store(storeKey, { ...details, account: accounts[key] });
+
+    return {
+      nextMenu
+    };
+  }
+
+  async verifyPin(inputValue, session, context, { storeKey, prompt, onSuccess }) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t(prompt)}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'loans', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank(storeKey);
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank(storeKey);
+    return onSuccess();
+  }
+
+  async fetchEligibility(session, context) {
+    const data = `CUSTOMERID:${context.customer?.customerid}:MOBILENUMBER:${session.msisdn}`;
+
+    const result = await apiService.call('LOAN_ELIGIBILITY', data, session);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const limit = parseFloat(result.data.LOANLIMIT) || 0;
+    return {
+      success: true,
+      eligible: limit >= this.getRules().minAmount,
+      limit: Math.floor(limit),
+      reason: result.data.REASON
+    };
+  }
+
+  async fetchStatus(session, context) {
+    const data = `CUSTOMERID:${context.customer?.customerid}:MOBILENUMBER:${session.msisdn}`;
+
+    const result = await apiService.call('LOAN_STATUS', data, session);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      balance: parseFloat(result.data.LOANBALANCE) || 0,
+      amount: parseFloat(result.data.LOANAMOUNT) || 0,
+      dueDate: result.data.DUEDATE,
+      status: result.data.LOANSTATUS
+    };
+  }
+
+  // Flat interest for the tenor; the due date counts from today in Nairobi
+  calculateLoan(amount, tenor) {
+    const interest = Math.round(amount * tenor.interestRate) / 100;
+    const dueDate = moment()
+      .tz(process.env.TIMEZONE || 'Africa/Nairobi')
+      .add(tenor.days, 'days')
+      .format('DD/MM/YYYY');
+
+    return {
+      tenor: tenor.days,
+      interestRate: tenor.interestRate,
+      interest,
+      repayable: amount + interest,
+      dueDate
+    };
+  }
+
+  // loans in business-rules.json
+  getRules() {
+    return {
+      minAmount: 500,
+      tenors: [],
+      ...menuService.getBusinessRule('loans')
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('loans.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new LoansModule();
@@ -0,0 +1,505 @@
+// src/modules/mobilemoney.module.js
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const limitsService = require('../services/limits.service');
+const chargesService = require('../services/charges.service');
+const loggingService = require('../services/logging.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+// Wallet sends and agent withdrawals share the withdraw limits and charge bands
+const LIMIT_TYPE = 'withdraw';
+
+class MobileMoneyModule {
+  async processSendMpesa(inputValue, session, context) {
+    return this.processWalletRecipient(inputValue, session, context, { wallet: 'mpesa', menuName: 'send_mpesa' });
+  }
+
+  async processSendAirtel(inputValue, session, context) {
+    return this.processWalletRecipient(inputValue, session, context, { wallet: 'airtel', menuName: 'send_airtel' });
+  }
+
+  // 1. My number / 2. Other number
+  async processWalletRecipient(inputValue, session, context, { wallet, menuName }) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const walletConfig = this.getWallet(wallet);
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.send_to', {
+          wallet: walletConfig.name,
+          number: formatters.localMsisdn(session.msisdn)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return this.confirmRecipient(session.msisdn, wallet, session, context, menuName);
+    }
+
+    if (inputValue === '2') {
+      await session.store('mobile_money_details', { kind: 'wallet', wallet });
+      return {
+        nextMenu: 'mobile_money_number'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: menuName
+    };
+  }
+
+  async processRecipientNumber(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+
+    if (!details?.wallet) {
+      return this.expired(context);
+    }
+
+    const prompt = t('mobile_money.enter_number', { wallet: this.getWallet(details.wallet).name });
+    const saved = await session.beneficiaries('mobile');
+
+    if (!inputValue) {
+      const message = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${prompt}`
+        : prompt;
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const recipient = picked ? picked.value : formatters.normalizeMsisdn(inputValue);
+    const pattern = menuService.getValidationRule('msisdn.patterns.kenya') || '^254[0-9]{9}$';
+
+    if (!new RegExp(pattern).test(recipient)) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.invalid_number')}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    return this.confirmRecipient(recipient, details.wallet, session, context, 'mobile_money_number');
+  }
+
+  // Rejects numbers on another network and looks up the registered wallet name
+  async confirmRecipient(recipient, wallet, session, context, menuName) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const walletConfig = this.getWallet(wallet);
+
+    const prefixes = menuService.getValidationRule('msisdn.prefixes') || {};
+    const network = validators.detectNetwork(recipient, prefixes);
+    if (network && walletConfig.network && network !== walletConfig.network) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.wrong_network', {
+          number: formatters.localMsisdn(recipient),
+          wallet: walletConfig.name
+        })}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    const lookup = await this.lookupWallet(recipient, walletConfig, session);
+    if (!lookup.success) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.lookup_failed', {
+          number: formatters.localMsisdn(recipient),
+          wallet: walletConfig.name
+        })}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    await session.store('mobile_money_details', {
+      kind: 'wallet',
+      wallet,
+      recipient,
+      recipientName: lookup.name
+    });
+
+    return {
+      nextMenu: 'mobile_money_account'
+    };
+  }
+
+  // Agent withdrawal: agent number -> store number -> account -> amount
+  async processAgentNumber(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.enter_agent')}\n\n${nav}`
+      };
+    }
+
+    if (!/^\d{5,7}$/.test(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.invalid_agent')}\n\n${t('mobile_money.enter_agent')}\n\n${nav}`
+      };
+    }
+
+    await session.store('mobile_money_details', { kind: 'agent', agentNumber: inputValue });
+
+    return {
+      nextMenu: 'withdraw_agent_store'
+    };
+  }
+
+  async processStoreNumber(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+
+    if (!details?.agentNumber) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.enter_store')}\n\n${nav}`
+      };
+    }
+
+    if (!/^\d{1,7}$/.test(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.invalid_store')}\n\n${t('mobile_money.enter_store')}\n\n${nav}`
+      };
+    }
+
+    await session.store('mobile_money_details', { ...details, storeNumber: inputValue });
+
+    return {
+      nextMenu: 'mobile_money_account'
+    };
+  }
+
+  async processSourceAccount(inputValue, session, context) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+
+    if (!details?.recipient && !details?.storeNumber) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('balance.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('mobile_money_account', {
+        header: t('mobile_money.select_account'),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'mobile_money_account'
+      };
+    }
+
+    await session.store('mobile_money_details', { ...details, sourceAccount: accounts[key] });
+
+    return {
+      nextMenu: 'mobile_money_amount'
+    };
+  }
+
+  async processAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+    const limits = this.getLimits();
+
+    if (!details?.sourceAccount) {
+      return this.expired(context);
+    }
+
+    const prompt = t('mobile_money.enter_amount', {
+      min: formatters.formatAmount(limits.minAmount),
+      max: formatters.formatAmount(limits.maxAmount)
+    });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateNumeric(inputValue, { min: limits.minAmount, max: limits.maxAmount })) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.invalid_amount', {
+          min: formatters.formatAmount(limits.minAmount),
+          max: formatters.formatAmount(limits.maxAmount)
+        })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    const quote = chargesService.calculate(LIMIT_TYPE, inputValue);
+    const limitCheck = await limitsService.checkLimit(session, LIMIT_TYPE, quote.total);
+    if (!limitCheck.allowed) {
+      return {
+        action: 'con',
+        message: `${limitsService.getLimitMessage(limitCheck, context.language)}\n\n${nav}`
+      };
+    }
+
+    await chargesService.applyToTransaction(session, LIMIT_TYPE, quote.amount);
+    await session.store('mobile_money_details', {
+      ...details,
+      amount: quote.amount,
+      charge: quote.charge,
+      total: quote.total
+    });
+
+    return {
+      nextMenu: 'mobile_money_confirm'
+    };
+  }
+
+  async processConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      const params = {
+        amount: formatters.formatAmount(details.amount),
+        account: formatters.maskAccountNumber(details.sourceAccount),
+        charge: formatters.formatAmount(details.charge),
+        total: formatters.formatAmount(details.total)
+      };
+
+      const message = details.kind === 'agent'
+        ? t('mobile_money.confirm_withdraw', { ...params, agent: details.agentNumber, store: details.storeNumber })
+        : t('mobile_money.confirm_send', {
+          ...params,
+          name: details.recipientName,
+          number: formatters.localMsisdn(details.recipient),
+          wallet: this.getWallet(details.wallet).name
+        });
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'mobile_money_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('mobile_money_details');
+      await chargesService.clearTransaction(session);
+      return {
+        action: 'con',
+        message: `${t('mobile_money.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'mobile_money_confirm'
+    };
+  }
+
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('mobile_money_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'mobile_money', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('mobile_money_details');
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('mobile_money_details');
+    await chargesService.clearTransaction(session);
+    return this.postTransaction(details, session, context);
+  }
+
+  async postTransaction(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const isAgent = details.kind === 'agent';
+    const service = isAgent ? 'AGENT_WITHDRAWAL' : 'MOBILE_MONEY_TRANSFER';
+    const endpoint = menuService.getApiEndpoint(service) || {};
+
+    const fields = isAgent
+      ? [`MERCHANTID:${endpoint.merchantId || 'AGENTWITHDRAW'}`, `AGENTID:${details.agentNumber}`, `STOREID:${details.storeNumber}`]
+      : [`MERCHANTID:${this.getWallet(details.wallet).merchantId}`, `ACCOUNTID:${details.recipient}`];
+
+    const data = [
+      ...fields,
+      `BANKACCOUNTID:${details.sourceAccount}`,
+      `AMOUNT:${details.amount}`,
+      `ACTION:${endpoint.action || 'PAYBILL'}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call(service, data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('mobile_money.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    await limitsService.recordTransaction(session, LIMIT_TYPE, details.total);
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit(service, {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      account: formatters.maskAccountNumber(details.sourceAccount),
+      ...(isAgent
+        ? { agent: details.agentNumber, store: details.storeNumber }
+        : { wallet: details.wallet, recipient: details.recipient }),
+      amount: details.amount,
+      charge: details.charge,
+      reference
+    });
+
+    const message = isAgent
+      ? t('mobile_money.withdraw_success', {
+        amount: formatters.formatAmount(details.amount),
+        agent: details.agentNumber,
+        reference
+      })
+      : t('mobile_money.send_success', {
+        amount: formatters.formatAmount(details.amount),
+        name: details.recipientName,
+        number: formatters.localMsisdn(details.recipient),
+        reference
+      });
+
+    // Wallet sends to someone else can be saved; own-number sends and agents cannot
+    const offered = !isAgent && details.recipient !== formatters.normalizeMsisdn(session.msisdn) &&
+      await session.offerBeneficiary('mobile', { value: details.recipient, name: details.recipientName });
+
+    return {
+      action: 'con',
+      message: `${message}\n\n${offered ? `${t('beneficiary.offer')}\n` : ''}${nav}`,
+      nextMenu: offered ? 'beneficiary_save' : 'main_menu'
+    };
+  }
+
+  async lookupWallet(recipient, walletConfig, session) {
+    const endpoint = menuService.getApiEndpoint('WALLET_LOOKUP') || {};
+    const data = `MERCHANTID:${endpoint.merchantId || 'WALLETNAME'}:WALLET:${walletConfig.merchantId}:ACCOUNTID:${recipient}:MOBILENUMBER:${session.msisdn}`;
+
+    try {
+      const result = await apiService.call('WALLET_LOOKUP', data, session);
+      const name = result.data?.ACCOUNTNAME || result.data?.DATA;
+
+      return result.success && name
+        ? { success: true, name: name.trim() }
+        : { success: false };
+    } catch (error) {
+      console.error('Wallet lookup error:', error.message);
+      return { success: false };
+    }
+  }
+
+  // MOBILE_MONEY_TRANSFER.wallets in api-endpoints.json
+  getWallet(wallet) {
+    const wallets = menuService.getApiEndpoint('MOBILE_MONEY_TRANSFER')?.wallets || {};
+    return { name: wallet, ...wallets[wallet] };
+  }
+
+  getLimits() {
+    return {
+      minAmount: 100,
+      maxAmount: 70000,
+      ...menuService.getBusinessRule(`transactionLimits.${LIMIT_TYPE}`)
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('mobile_money.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new MobileMoneyModule();
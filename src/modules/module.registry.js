@@ -127,8 +127,8 @@ class ModuleRegistry {
       'balance.processBalancePin': 'balance.processBalancePin',
       'balance.processBalanceConfirmation': 'balance.processBalanceConfirmation',
       'get_balance': 'balance.processBalanceRequest',
-      'get_statement': 'statement.processStatementRequest',
-      'buy_airtime': 'airtime.processAirtimePurchase',
+      'get_statement': 'statement.processMiniStatementAccount',
+      'buy_airtime': 'airtime.processOwnNumber',
       'forgot_pin': 'pin.processForgotPin'
     };
 
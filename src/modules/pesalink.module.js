@@ -0,0 +1,513 @@
+// src/modules/pesalink.module.js
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const limitsService = require('../services/limits.service');
+const chargesService = require('../services/charges.service');
+const loggingService = require('../services/logging.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+class PesalinkModule {
+  // 1. Send to account / 2. Send to phone
+  async processTransferType(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.select_type')}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      await session.store('pesalink_details', { mode: 'account' });
+      return {
+        nextMenu: 'pesalink_bank'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.store('pesalink_details', { mode: 'phone' });
+      return {
+        nextMenu: 'pesalink_phone'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'transfer_pesalink'
+    };
+  }
+
+  async processBankSelection(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+    const banks = this.getBanks();
+
+    if (!details?.mode) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      const message = await menuService.renderPage('pesalink_bank', {
+        header: t('pesalink.select_bank'),
+        items: banks.map((bank, index) => ({ index, text: bank.name })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= banks.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'pesalink_bank'
+      };
+    }
+
+    await session.store('pesalink_details', {
+      mode: 'account',
+      bankCode: banks[key].code,
+      bankName: banks[key].name
+    });
+
+    return {
+      nextMenu: 'pesalink_account'
+    };
+  }
+
+  async processAccountNumber(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+
+    if (!details?.bankCode) {
+      return this.expired(context);
+    }
+
+    const prompt = t('pesalink.enter_account', { bank: details.bankName });
+    const saved = (await session.beneficiaries('pesalink')).filter(item => item.bank === details.bankCode);
+
+    if (!inputValue) {
+      const message = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${prompt}`
+        : prompt;
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const account = picked ? picked.value : inputValue.replace(/\s/g, '');
+    const pattern = menuService.getValidationRule('account.patterns.pesalink') || '^[0-9]{6,20}$';
+
+    if (!new RegExp(pattern).test(account)) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.invalid_account')}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    const lookup = await this.lookupRecipient(`BANKCODE:${details.bankCode}:TOACCOUNT:${account}`, session);
+    if (!lookup.success) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.lookup_failed', { recipient: account })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    await session.store('pesalink_details', {
+      ...details,
+      destinationAccount: account,
+      destinationName: lookup.name
+    });
+
+    return {
+      nextMenu: 'pesalink_source'
+    };
+  }
+
+  // The PesaLink directory returns the bank and account linked to the phone number
+  async processPhoneNumber(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+
+    if (!details?.mode) {
+      return this.expired(context);
+    }
+
+    const saved = await session.beneficiaries('mobile');
+
+    if (!inputValue) {
+      const message = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${t('pesalink.enter_phone')}`
+        : t('pesalink.enter_phone');
+
+      return {
+        action: 'con',
+        message: `${message}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const phone = picked ? picked.value : formatters.normalizeMsisdn(inputValue);
+    const pattern = menuService.getValidationRule('msisdn.patterns.kenya') || '^254[0-9]{9}$';
+
+    if (!new RegExp(pattern).test(phone)) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.invalid_phone')}\n\n${t('pesalink.enter_phone')}\n\n${nav}`
+      };
+    }
+
+    const lookup = await this.lookupRecipient(`PHONE:${phone}`, session);
+    if (!lookup.success || !lookup.bankCode) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.lookup_failed', { recipient: formatters.localMsisdn(phone) })}\n\n${t('pesalink.enter_phone')}\n\n${nav}`
+      };
+    }
+
+    await session.store('pesalink_details', {
+      mode: 'phone',
+      phone,
+      bankCode: lookup.bankCode,
+      bankName: lookup.bankName || this.getBank(lookup.bankCode)?.name || lookup.bankCode,
+      destinationAccount: lookup.account,
+      destinationName: lookup.name
+    });
+
+    return {
+      nextMenu: 'pesalink_source'
+    };
+  }
+
+  async processSourceAccount(inputValue, session, context) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+
+    if (!details?.destinationName) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('transfer.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('pesalink_source', {
+        header: t('transfer.select_source'),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'pesalink_source'
+      };
+    }
+
+    await session.store('pesalink_details', { ...details, sourceAccount: accounts[key] });
+
+    return {
+      nextMenu: 'pesalink_amount'
+    };
+  }
+
+  async processAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+    const limits = this.getLimits();
+
+    if (!details?.sourceAccount) {
+      return this.expired(context);
+    }
+
+    const range = {
+      min: formatters.formatAmount(limits.minAmount),
+      max: formatters.formatAmount(limits.maxAmount)
+    };
+    const prompt = t('pesalink.enter_amount', {
+      name: details.destinationName,
+      bank: details.bankName,
+      ...range
+    });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateNumeric(inputValue, { min: limits.minAmount, max: limits.maxAmount })) {
+      return {
+        action: 'con',
+        message: `${t('transfer.invalid_amount', range)}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    const quote = chargesService.calculate('pesalink', inputValue);
+    const limitCheck = await limitsService.checkLimit(session, 'pesalink', quote.total);
+    if (!limitCheck.allowed) {
+      return {
+        action: 'con',
+        message: `${limitsService.getLimitMessage(limitCheck, context.language)}\n\n${nav}`
+      };
+    }
+
+    await chargesService.applyToTransaction(session, 'pesalink', quote.amount);
+    await session.store('pesalink_details', {
+      ...details,
+      amount: quote.amount,
+      charge: quote.charge,
+      total: quote.total
+    });
+
+    return {
+      nextMenu: 'pesalink_confirm'
+    };
+  }
+
+  async processConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pesalink.confirm', {
+          amount: formatters.formatAmount(details.amount),
+          name: details.destinationName,
+          bank: details.bankName,
+          recipient: this.describeRecipient(details),
+          source: formatters.maskAccountNumber(details.sourceAccount),
+          charge: formatters.formatAmount(details.charge),
+          total: formatters.formatAmount(details.total)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'pesalink_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('pesalink_details');
+      await chargesService.clearTransaction(session);
+      return {
+        action: 'con',
+        message: `${t('transfer.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'pesalink_confirm'
+    };
+  }
+
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pesalink_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('transfer.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'pesalink', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('pesalink_details');
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('pesalink_details');
+    await chargesService.clearTransaction(session);
+    return this.postTransfer(details, session, context);
+  }
+
+  async postTransfer(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = menuService.getApiEndpoint('PESALINK_TRANSFER') || {};
+
+    const data = [
+      `MERCHANTID:${endpoint.merchantId || 'PESALINK'}`,
+      `BANKACCOUNTID:${details.sourceAccount}`,
+      `BANKCODE:${details.bankCode}`,
+      details.mode === 'phone' ? `PHONE:${details.phone}` : `TOACCOUNT:${details.destinationAccount}`,
+      `AMOUNT:${details.amount}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('PESALINK_TRANSFER', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('transfer.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    await limitsService.recordTransaction(session, 'pesalink', details.total);
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit('PESALINK_TRANSFER', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      from: formatters.maskAccountNumber(details.sourceAccount),
+      bank: details.bankCode,
+      to: details.mode === 'phone' ? details.phone : formatters.maskAccountNumber(details.destinationAccount),
+      amount: details.amount,
+      charge: details.charge,
+      reference
+    });
+
+    // Phone transfers go through the directory, so the number is what gets saved
+    const offered = details.mode === 'phone'
+      ? await session.offerBeneficiary('mobile', { value: details.phone, name: details.destinationName })
+      : await session.offerBeneficiary('pesalink', {
+        value: details.destinationAccount,
+        name: details.destinationName,
+        bank: details.bankCode
+      });
+
+    return {
+      action: 'con',
+      message: `${t('pesalink.success', {
+        amount: formatters.formatAmount(details.amount),
+        name: details.destinationName,
+        bank: details.bankName,
+        reference
+      })}\n\n${offered ? `${t('beneficiary.offer')}\n` : ''}${nav}`,
+      nextMenu: offered ? 'beneficiary_save' : 'main_menu'
+    };
+  }
+
+  // Resolves the registered name for an account (BANKCODE/TOACCOUNT) or a phone number (PHONE)
+  async lookupRecipient(query, session) {
+    const endpoint = menuService.getApiEndpoint('PESALINK_LOOKUP') || {};
+    const data = `MERCHANTID:${endpoint.merchantId || 'PESALINKNAME'}:${query}:MOBILENUMBER:${session.msisdn}`;
+
+    try {
+      const result = await apiService.call('PESALINK_LOOKUP', data, session);
+      const name = result.data?.ACCOUNTNAME || result.data?.DATA;
+
+      if (result.success && name) {
+        return {
+          success: true,
+          name: name.trim(),
+          bankCode: result.data.BANKCODE,
+          bankName: result.data.BANKNAME,
+          account: result.data.TOACCOUNT
+        };
+      }
+
+      return { success: false };
+    } catch (error) {
+      console.error('PesaLink lookup error:', error.message);
+      return { success: false };
+    }
+  }
+
+  describeRecipient(details) {
+    return details.mode === 'phone'
+      ? formatters.localMsisdn(details.phone)
+      : formatters.maskAccountNumber(details.destinationAccount);
+  }
+
+  // pesalink.banks in business-rules.json
+  getBanks() {
+    return menuService.getBusinessRule('pesalink.banks') || [];
+  }
+
+  getBank(code) {
+    return this.getBanks().find(bank => bank.code === code);
+  }
+
+  getLimits() {
+    return {
+      minAmount: 100,
+      maxAmount: 999999,
+      ...menuService.getBusinessRule('transactionLimits.pesalink')
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('transfer.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new PesalinkModule();
@@ -1,5 +1,9 @@
 // src/modules/pin.module.js
 const apiService = require('../services/api.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const loggingService = require('../services/logging.service');
+const validators = require('../utils/validators');
 
 class PinModule {
   async processPinOrForgot(inputValue, session, context) {
@@ -7,10 +11,12 @@ class PinModule {
       return null; 
     }
 
-    // Handle "1" for forgot PIN - go to forgot_pin_info menu
+    const t = (key, params) => i18nService.t(key, context.language, params);
+
+    // Handle "1" for forgot PIN - start the self-service reset
     if (inputValue === '1') {
       return {
-        nextMenu: 'forgot_pin_info'
+        nextMenu: 'pin_reset_id'
       };
     }
 
@@ -18,11 +24,20 @@ class PinModule {
     if (inputValue.length < 4 || inputValue.length > 6 || !/^\d+$/.test(inputValue)) {
       return {
         action: 'con',
-        message: 'PIN must be 4-6 digits\n\nEnter PIN:',
+        message: t('pin.format'),
         retryMenu: 'home'
       };
     }
 
+    // Lockouts span sessions, so check before the backend sees the PIN
+    const lockout = await pinSecurityService.getLockout(session.msisdn);
+    if (lockout.locked) {
+      return {
+        action: 'end',
+        message: pinSecurityService.getLockoutMessage(lockout, context.language)
+      };
+    }
+
     // Store PIN attempt
     await session.store('pin_attempt', inputValue);
 
@@ -44,6 +59,8 @@ class PinModule {
       });
 
       if (loginResult.success) {
+        await pinSecurityService.recordSuccess(session.msisdn);
+
         // Update customer data with accounts if available
         if (loginResult.data?.ACCOUNTS) {
           const accounts = loginResult.data.ACCOUNTS.split(',').filter(a => a.trim());
@@ -66,6 +83,7 @@ class PinModule {
         await session.store('loginData', loginResult.data);
         await session.store('authStatus', 'authenticated');
         await session.updateSession({ authStatus: 'authenticated' });
+        session.authStatus = 'authenticated';
 
         return {
           nextMenu: 'main_menu'
@@ -74,22 +92,25 @@ class PinModule {
       } else {
         // Handle specific error codes
         const errorCode = loginResult.status || loginResult.code;
-        let errorMessage = 'Invalid PIN. Please try again.';
+        let errorMessage = t('pin.invalid');
 
         switch (errorCode) {
           case '101':
+            await pinSecurityService.recordSuccess(session.msisdn);
+            // The expired PIN is the current PIN for the forced change
+            await session.store('pin_change', { currentPin: inputValue, forced: true });
             return {
               action: 'con',
-              message: 'Your PIN has expired. Please enter a new PIN:',
+              message: t('pin.expired'),
               nextMenu: 'change_pin_forced'
             };
           case '102':
             return {
               action: 'end',
-              message: 'Your account has been blocked. Please visit a branch.'
+              message: t('pin.blocked')
             };
           case '091':
-            errorMessage = 'Invalid Login Password';
+            errorMessage = t('pin.invalid_login');
             break;
           default:
             if (loginResult.error) {
@@ -97,9 +118,17 @@ class PinModule {
             }
         }
 
+        const failure = await pinSecurityService.recordFailure(session, 'login');
+        if (failure.locked) {
+          return {
+            action: 'end',
+            message: pinSecurityService.getLockoutMessage(failure, context.language)
+          };
+        }
+
         return {
           action: 'con',
-          message: errorMessage + '\n\nEnter PIN:',
+          message: t('pin.retry', { error: errorMessage + pinSecurityService.getAttemptsLeftMessage(failure, context.language) }),
           retryMenu: 'home'
         };
       }
@@ -107,7 +136,7 @@ class PinModule {
       console.error('PinModule error:', error);
       return {
         action: 'con',
-        message: 'Authentication error. Please try again later.\n\nEnter PIN:',
+        message: t('pin.auth_error'),
         retryMenu: 'home'
       };
     }
@@ -119,6 +148,11 @@ class PinModule {
       return false;
     }
 
+    const lockout = await pinSecurityService.getLockout(session.msisdn);
+    if (lockout.locked) {
+      return false;
+    }
+
     try {
       const loginResult = await apiService.login(
         session.customerData,
@@ -126,6 +160,12 @@ class PinModule {
         session,
         pinInput
       );
+
+      if (loginResult.success) {
+        await pinSecurityService.recordSuccess(session.msisdn);
+      } else {
+        await pinSecurityService.recordFailure(session, 'validate_current_pin');
+      }
       return loginResult.success;
     } catch (error) {
       console.error('PIN validation error:', error);
@@ -133,11 +173,168 @@ class PinModule {
     }
   }
 
+  // Change PIN step 1 - verify the current PIN
+  async processChangePin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      await session.blank('pin_change');
+      return {
+        action: 'con',
+        message: `${t('pin.change_current')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'change_pin', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.store('pin_change', { currentPin: inputValue, forced: false });
+
+    return {
+      nextMenu: 'change_pin_new'
+    };
+  }
+
+  // Change PIN step 2 - choose a new PIN
+  async processNewPin(inputValue, session, context) {
+    return this.processNewPinEntry(inputValue, session, context, 'pin.change_new');
+  }
+
+  // Reached straight from login when the backend reports an expired PIN (status 101)
+  async processForcedPinChange(inputValue, session, context) {
+    return this.processNewPinEntry(inputValue, session, context, 'pin.expired');
+  }
+
+  async processNewPinEntry(inputValue, session, context, promptKey) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_change');
+
+    if (!details?.currentPin) {
+      return this.changeExpired(session, context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t(promptKey)}\n\n${nav}`
+      };
+    }
+
+    const error = pinSecurityService.validateNewPin(inputValue, details.currentPin, context.language);
+    if (error) {
+      return {
+        action: 'con',
+        message: `${error}\n\n${t('pin.change_new')}\n\n${nav}`
+      };
+    }
+
+    await session.store('pin_change', { ...details, newPin: inputValue });
+
+    return {
+      nextMenu: 'change_pin_confirm'
+    };
+  }
+
+  // Change PIN step 3 - re-enter the new PIN and submit
+  async processConfirmPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_change');
+
+    if (!details?.newPin) {
+      return this.changeExpired(session, context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pin.change_confirm')}\n\n${nav}`
+      };
+    }
+
+    if (inputValue !== details.newPin) {
+      await session.store('pin_change', { currentPin: details.currentPin, forced: details.forced });
+      return {
+        action: 'con',
+        message: `${t('pin.mismatch')}\n\n${t('pin.change_new')}\n\n${nav}`,
+        nextMenu: details.forced ? 'change_pin_forced' : 'change_pin_new'
+      };
+    }
+
+    await session.blank('pin_change');
+    return this.submitPinChange(details, session, context);
+  }
+
+  async submitPinChange(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    // A forced change leaves the customer logged out, so they sign in again with the new PIN
+    const doneMenu = details.forced ? 'home' : 'main_menu';
+
+    const data = [
+      `OLDMPIN:${details.currentPin}`,
+      `NEWMPIN:${details.newPin}`,
+      `CUSTOMERID:${session.customerData?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('CHANGE_PIN', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('pin.change_failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: doneMenu
+      };
+    }
+
+    loggingService.logAudit('PIN_CHANGE', {
+      msisdn: session.msisdn,
+      customerId: session.customerData?.customerid,
+      forced: Boolean(details.forced)
+    });
+
+    return {
+      action: 'con',
+      message: details.forced ? t('pin.forced_success') : `${t('pin.change_success')}\n\n${nav}`,
+      nextMenu: doneMenu
+    };
+  }
+
+  changeExpired(session, context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('pin.change_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: session.authStatus === 'authenticated' ? 'main_menu' : 'home'
+    };
+  }
+
   // This method is kept for backward compatibility but not used directly anymore
   async processForgotPin(session, context) {
-    // Redirect to forgot_pin_info menu instead of showing direct message
+    // Redirect to the self-service reset instead of showing direct message
     return {
-      nextMenu: 'forgot_pin_info'
+      nextMenu: 'pin_reset_id'
     };
   }
 }
@@ -0,0 +1,315 @@
+// src/modules/pinreset.module.js
+const moment = require('moment-timezone');
+const apiService = require('../services/api.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const otpService = require('../services/otp.service');
+const smsService = require('../services/sms.service');
+const loggingService = require('../services/logging.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+const OTP_PURPOSE = 'pin_reset';
+
+class PinResetModule {
+  // Step 1 - national ID number
+  async processNationalId(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    // Unregistered numbers still get the branch information screen
+    if (!session.customerData?.customerid || session.customerData.customerid === 'GUEST') {
+      return {
+        nextMenu: 'forgot_pin_info'
+      };
+    }
+
+    if (await pinSecurityService.isResetBlocked(session.msisdn)) {
+      return {
+        action: 'end',
+        message: t('pin_reset.blocked')
+      };
+    }
+
+    if (!inputValue) {
+      await session.blank('pin_reset');
+      return {
+        action: 'con',
+        message: `${t('pin_reset.enter_id')}\n\n${nav}`
+      };
+    }
+
+    const pattern = this.getSettings().idPattern || '^[0-9]{6,10}$';
+    if (!new RegExp(pattern).test(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin_reset.invalid_id')}\n\n${t('pin_reset.enter_id')}\n\n${nav}`
+      };
+    }
+
+    await session.store('pin_reset', { idNumber: inputValue });
+
+    return {
+      nextMenu: 'pin_reset_dob'
+    };
+  }
+
+  // Step 2 - date of birth, then the backend identity check and OTP
+  async processDateOfBirth(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_reset');
+
+    if (!details?.idNumber) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pin_reset.enter_dob')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateDate(inputValue, 'DDMMYYYY') || moment(inputValue, 'DDMMYYYY', true).isAfter(moment())) {
+      return {
+        action: 'con',
+        message: `${t('pin_reset.invalid_dob')}\n\n${t('pin_reset.enter_dob')}\n\n${nav}`
+      };
+    }
+
+    const verified = await this.verifyIdentity(details.idNumber, inputValue, session);
+    if (!verified) {
+      await session.blank('pin_reset');
+      return this.failAttempt(session, context, 'identity_mismatch', 'pin_reset.identity_failed');
+    }
+
+    const settings = this.getSettings();
+    const code = await otpService.generate(session.msisdn, OTP_PURPOSE, {
+      length: settings.otpLength,
+      ttl: settings.otpTtl
+    });
+
+    const sms = await smsService.send(session.msisdn, i18nService.t('pin_reset.sms', context.language, {
+      code,
+      minutes: Math.ceil(settings.otpTtl / 60)
+    }));
+
+    if (!sms.success) {
+      await otpService.clear(session.msisdn, OTP_PURPOSE);
+      await session.blank('pin_reset');
+      return {
+        action: 'end',
+        message: t(sms.unavailable ? 'common.service_unavailable' : 'pin_reset.sms_failed')
+      };
+    }
+
+    loggingService.logAudit('PIN_RESET_OTP_SENT', {
+      msisdn: session.msisdn,
+      customerId: session.customerData?.customerid,
+      provider: sms.provider
+    });
+
+    await session.store('pin_reset', { ...details, identityVerified: true });
+
+    return {
+      nextMenu: 'pin_reset_otp'
+    };
+  }
+
+  // Step 3 - one-time code
+  async processOtp(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_reset');
+
+    if (!details?.identityVerified) {
+      return this.expired(context);
+    }
+
+    const prompt = t('pin_reset.enter_otp', { number: formatters.localMsisdn(session.msisdn) });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    const result = await otpService.verify(session.msisdn, OTP_PURPOSE, inputValue, this.getSettings().otpMaxAttempts);
+
+    if (result.success) {
+      await session.store('pin_reset', { ...details, otpVerified: true });
+      return {
+        nextMenu: 'pin_reset_new'
+      };
+    }
+
+    if (result.expired || result.exhausted) {
+      await session.blank('pin_reset');
+      return this.failAttempt(session, context, result.expired ? 'otp_expired' : 'otp_exhausted', 'pin_reset.otp_failed');
+    }
+
+    return {
+      action: 'con',
+      message: `${t('pin_reset.invalid_otp')}\n${t('pin.attempts_left', { count: result.attemptsLeft })}\n\n${prompt}\n\n${nav}`
+    };
+  }
+
+  // Step 4 - new PIN
+  async processNewPin(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_reset');
+
+    if (!details?.otpVerified) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pin.change_new')}\n\n${nav}`
+      };
+    }
+
+    const error = pinSecurityService.validateNewPin(inputValue, null, context.language);
+    if (error) {
+      return {
+        action: 'con',
+        message: `${error}\n\n${t('pin.change_new')}\n\n${nav}`
+      };
+    }
+
+    await session.store('pin_reset', { ...details, newPin: inputValue });
+
+    return {
+      nextMenu: 'pin_reset_confirm'
+    };
+  }
+
+  // Step 5 - confirm and submit
+  async processConfirmPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('pin_reset');
+
+    if (!details?.newPin) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('pin.change_confirm')}\n\n${nav}`
+      };
+    }
+
+    if (inputValue !== details.newPin) {
+      const { newPin, ...rest } = details;
+      await session.store('pin_reset', rest);
+      return {
+        action: 'con',
+        message: `${t('pin.mismatch')}\n\n${t('pin.change_new')}\n\n${nav}`,
+        nextMenu: 'pin_reset_new'
+      };
+    }
+
+    await session.blank('pin_reset');
+    return this.submitReset(details, session, context);
+  }
+
+  async submitReset(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    const data = [
+      `IDNUMBER:${details.idNumber}`,
+      `NEWMPIN:${details.newPin}`,
+      `CUSTOMERID:${session.customerData?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('RESET_PIN', data, session);
+
+    if (!result.success) {
+      loggingService.logAudit('PIN_RESET_FAILED', {
+        msisdn: session.msisdn,
+        customerId: session.customerData?.customerid,
+        status: result.status,
+        error: result.error
+      });
+
+      return {
+        action: 'con',
+        message: `${t('pin_reset.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'home'
+      };
+    }
+
+    // A successful reset also lifts any login lockout
+    await pinSecurityService.clearResetAttempts(session.msisdn);
+    await pinSecurityService.unlock(session.msisdn, 'self_service_reset');
+
+    loggingService.logAudit('PIN_RESET_COMPLETED', {
+      msisdn: session.msisdn,
+      customerId: session.customerData?.customerid
+    });
+
+    return {
+      action: 'con',
+      message: t('pin_reset.success'),
+      nextMenu: 'home'
+    };
+  }
+
+  async verifyIdentity(idNumber, dateOfBirth, session) {
+    const data = [
+      `IDNUMBER:${idNumber}`,
+      `DOB:${dateOfBirth}`,
+      `CUSTOMERID:${session.customerData?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    try {
+      const result = await apiService.call('VERIFY_IDENTITY', data, session);
+      return result.success;
+    } catch (error) {
+      console.error('Identity verification error:', error.message);
+      return false;
+    }
+  }
+
+  // Counts the failure and either ends the session or sends the customer back to step 1
+  async failAttempt(session, context, reason, messageKey) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const failure = await pinSecurityService.recordResetFailure(session, reason);
+
+    if (failure.blocked) {
+      return {
+        action: 'end',
+        message: t('pin_reset.blocked')
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t(messageKey)}\n${t('pin.attempts_left', { count: failure.attemptsLeft })}\n\n${t('pin_reset.enter_id')}\n\n${t('common.nav_back_exit')}`,
+      nextMenu: 'pin_reset_id'
+    };
+  }
+
+  getSettings() {
+    return pinSecurityService.getResetSettings();
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('pin_reset.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'home'
+    };
+  }
+}
+
+module.exports = new PinResetModule();
@@ -0,0 +1,472 @@
+// src/modules/services.module.js
+const moment = require('moment-timezone');
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const serviceRequestService = require('../services/service-request.service');
+const loggingService = require('../services/logging.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+// Backend REQUESTTYPE per request and the screen that follows account selection
+const REQUEST_TYPES = {
+  cheque_book: { code: 'CHEQUEBOOK', nextMenu: 'sr_leaves' },
+  stop_cheque: { code: 'STOPCHEQUE', nextMenu: 'sr_cheque_number' },
+  card_block: { code: 'CARDBLOCK', nextMenu: 'sr_confirm' },
+  card_replace: { code: 'CARDREPLACE', nextMenu: 'sr_confirm' },
+  statement_email: { code: 'ESTATEMENT', nextMenu: 'sr_period' }
+};
+
+class ServicesModule {
+  async processChequeBook(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, { menuName: 'sr_cheque_book', type: 'cheque_book' });
+  }
+
+  async processStopCheque(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, { menuName: 'sr_stop_cheque', type: 'stop_cheque' });
+  }
+
+  async processStatementEmail(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, { menuName: 'sr_statement_email', type: 'statement_email' });
+  }
+
+  // 1. Block card / 2. Replace card, then the card's account
+  async processCardAction(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('service.card_action')}\n\n${nav}`
+      };
+    }
+
+    const type = { 1: 'card_block', 2: 'card_replace' }[inputValue];
+    if (!type) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'sr_card'
+      };
+    }
+
+    await session.store('service_request', { type });
+
+    return {
+      nextMenu: 'sr_account'
+    };
+  }
+
+  async processCardAccount(inputValue, session, context) {
+    const details = await session.grab('service_request');
+
+    if (!REQUEST_TYPES[details?.type]) {
+      return this.expired(context);
+    }
+
+    return this.processAccountSelection(inputValue, session, context, { menuName: 'sr_account', type: details.type });
+  }
+
+  async processAccountSelection(inputValue, session, context, { menuName, type }) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('balance.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage(menuName, {
+        header: t(`service.${type}.select_account`),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    await session.store('service_request', { type, account: accounts[key] });
+
+    return {
+      nextMenu: REQUEST_TYPES[type].nextMenu
+    };
+  }
+
+  // Cheque book - number of leaves from serviceRequests.chequeBookLeaves
+  async processLeaves(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+    const leaves = this.getSettings().chequeBookLeaves;
+
+    if (details?.type !== 'cheque_book' || !details.account) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      const options = leaves.map((count, index) => `${index + 1}. ${t('service.leaves_option', { count })}`);
+      return {
+        action: 'con',
+        message: `${t('service.select_leaves')}\n${options.join('\n')}\n\n${nav}`
+      };
+    }
+
+    const count = leaves[parseInt(inputValue, 10) - 1];
+    if (!/^\d+$/.test(inputValue) || !count) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'sr_leaves'
+      };
+    }
+
+    await session.store('service_request', { ...details, leaves: count });
+
+    return {
+      nextMenu: 'sr_confirm'
+    };
+  }
+
+  // Stop cheque - the cheque's serial number
+  async processChequeNumber(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+
+    if (details?.type !== 'stop_cheque' || !details.account) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('service.enter_cheque_number')}\n\n${nav}`
+      };
+    }
+
+    const pattern = this.getSettings().chequeNumberPattern;
+    if (!new RegExp(pattern).test(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('service.invalid_cheque_number')}\n\n${t('service.enter_cheque_number')}\n\n${nav}`
+      };
+    }
+
+    await session.store('service_request', { ...details, chequeNumber: inputValue });
+
+    return {
+      nextMenu: 'sr_confirm'
+    };
+  }
+
+  // Statement by email - period in months from serviceRequests.statementPeriods
+  async processPeriod(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+    const periods = this.getSettings().statementPeriods;
+
+    if (details?.type !== 'statement_email' || !details.account) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      const options = periods.map((months, index) => `${index + 1}. ${t('service.period_option', { months })}`);
+      return {
+        action: 'con',
+        message: `${t('service.select_period')}\n${options.join('\n')}\n\n${nav}`
+      };
+    }
+
+    const months = periods[parseInt(inputValue, 10) - 1];
+    if (!/^\d+$/.test(inputValue) || !months) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'sr_period'
+      };
+    }
+
+    await session.store('service_request', { ...details, months });
+
+    return {
+      nextMenu: 'sr_email'
+    };
+  }
+
+  async processEmail(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+
+    if (!details?.months) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.enter_email')}\n\n${nav}`
+      };
+    }
+
+    const email = validators.normalizeEmail(inputValue, menuService.getValidationRule('email.pattern'));
+    if (!email) {
+      return {
+        action: 'con',
+        message: `${t('statement.invalid_email')}\n\n${t('statement.enter_email')}\n\n${nav}`
+      };
+    }
+
+    await session.store('service_request', { ...details, email });
+
+    return {
+      nextMenu: 'sr_confirm'
+    };
+  }
+
+  async processConfirmation(inputValue, session, context) {
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+
+    if (!this.isComplete(details)) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${this.describe(details, context.language)}\n\n${t('service.confirm')}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'sr_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('service_request');
+      return {
+        action: 'con',
+        message: `${t('service.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'sr_confirm'
+    };
+  }
+
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('service_request');
+
+    if (!this.isComplete(details)) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('service.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'service_request', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('service_request');
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('service_request');
+    return this.submitRequest(details, session, context);
+  }
+
+  async submitRequest(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    const data = [
+      `REQUESTTYPE:${REQUEST_TYPES[details.type].code}`,
+      `BANKACCOUNTID:${details.account}`,
+      ...(details.leaves ? [`LEAVES:${details.leaves}`] : []),
+      ...(details.chequeNumber ? [`CHEQUENUMBER:${details.chequeNumber}`] : []),
+      ...(details.months ? [`MONTHS:${details.months}`, `EMAIL:${details.email}`] : []),
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('SERVICE_REQUEST', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('service.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    if (reference !== 'N/A') {
+      await serviceRequestService.saveReference(session, {
+        reference,
+        type: details.type,
+        date: moment().tz(process.env.TIMEZONE || 'Africa/Nairobi').format('DD/MM/YYYY')
+      });
+    }
+
+    loggingService.logAudit('SERVICE_REQUEST', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      type: details.type,
+      account: formatters.maskAccountNumber(details.account),
+      reference
+    });
+
+    return {
+      action: 'con',
+      message: `${t('service.success', {
+        request: t(`service.${details.type}.name`),
+        reference
+      })}\n\n${nav}`,
+      nextMenu: 'main_menu'
+    };
+  }
+
+  // Track a request - pick a recent reference or type one in
+  async processTrack(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const recent = await serviceRequestService.getRecent(session);
+
+    if (!inputValue) {
+      const items = recent.map((request, index) => `${index + 1}. ${request.reference} ${t(`service.${request.type}.name`)}`);
+      const header = items.length > 0
+        ? `${t('service.recent_requests')}\n${items.join('\n')}\n\n${t('service.or_enter_reference')}`
+        : t('service.enter_reference');
+
+      return {
+        action: 'con',
+        message: `${header}\n\n${nav}`
+      };
+    }
+
+    const picked = /^\d$/.test(inputValue) ? recent[parseInt(inputValue, 10) - 1] : null;
+    const reference = picked ? picked.reference : inputValue.trim().toUpperCase();
+
+    if (!/^[A-Z0-9-]{4,30}$/.test(reference)) {
+      return {
+        action: 'con',
+        message: `${t('service.invalid_reference')}\n\n${t('service.enter_reference')}\n\n${nav}`
+      };
+    }
+
+    const data = `REFERENCE:${reference}:CUSTOMERID:${context.customer?.customerid}:MOBILENUMBER:${session.msisdn}`;
+    const result = await apiService.call('SERVICE_REQUEST_STATUS', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('service.track_failed', { reference, error: result.error || t('common.system_error') })}\n\n${nav}`
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('service.track_status', {
+        reference,
+        status: result.data.REQUESTSTATUS || result.data.DATA || '-',
+        updated: result.data.UPDATED || '-'
+      })}\n\n${nav}`
+    };
+  }
+
+  describe(details, language) {
+    return i18nService.t(`service.${details.type}.summary`, language, {
+      account: formatters.maskAccountNumber(details.account),
+      leaves: details.leaves,
+      chequeNumber: details.chequeNumber,
+      months: details.months,
+      email: details.email
+    });
+  }
+
+  isComplete(details) {
+    if (!REQUEST_TYPES[details?.type] || !details.account) return false;
+
+    switch (details.type) {
+      case 'cheque_book':
+        return Boolean(details.leaves);
+      case 'stop_cheque':
+        return Boolean(details.chequeNumber);
+      case 'statement_email':
+        return Boolean(details.email);
+      default:
+        return true;
+    }
+  }
+
+  // serviceRequests in business-rules.json
+  getSettings() {
+    return {
+      chequeBookLeaves: [25, 50, 100],
+      statementPeriods: [1, 3, 6],
+      chequeNumberPattern: '^[0-9]{6}$',
+      ...menuService.getBusinessRule('serviceRequests')
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('service.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new ServicesModule();
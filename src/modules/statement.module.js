@@ -1,100 +1,408 @@
-const { loggingService } = require('../services/logging.service');
-const { apiService } = require('../services/api.service');
+// src/modules/statement.module.js
+const moment = require('moment-timezone');
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const loggingService = require('../services/logging.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
 
 class StatementModule {
-  async processStatementRequest(response, session, context) {
-    try {
-      const selectedAccountIndex = await session.grab(
-        session.msisdn,
-        session.sessionId,
-        session.shortcode,
-        'statement_account'
-      );
-      
-      if (!selectedAccountIndex || !session.customerData.accounts) {
-        return {
-          error: true,
-          errorMessage: 'No account selected',
-          retryMenu: 'statement'
-        };
-      }
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Africa/Nairobi';
+    this.dateFormat = 'DDMMYYYY';
+  }
 
-      const account = session.customerData.accounts[selectedAccountIndex - 1];
-      const alias = session.customerData.aliases?.[selectedAccountIndex - 1] || account;
-      
-      // Get mini statement from API
-      const result = await apiService.getMiniStatement(account, session.customerData, session);
-      
-      if (result.success) {
-        const transactions = this.parseStatementResponse(result.data);
-        
-        let message = `Mini Statement for ${alias}:\n\n`;
-        
-        if (transactions.length === 0) {
-          message += 'No recent transactions.\n';
-        } else {
-          transactions.forEach((txn, index) => {
-            if (index < 5) { // Show only last 5 transactions
-              message += `${txn.date} - ${txn.description}\n${txn.type} KES ${txn.amount}\nBalance: KES ${txn.balance}\n\n`;
-            }
-          });
-        }
-        
-        message += 'Thank you for using Sidian Bank.';
-        
-        loggingService.info('Statement request successful', {
-          msisdn: session.msisdn,
-          account,
-          transactionCount: transactions.length
-        });
-        
-        return {
-          action: 'end',
-          message: message
-        };
-      } else {
+  // Mini statement: account -> PIN -> last transactions
+  async processMiniStatementAccount(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, {
+      menuName: 'mini_statement',
+      storeKey: 'mini_statement_account',
+      nextMenu: 'mini_statement_pin'
+    });
+  }
+
+  async processMiniStatementPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const account = await session.grab('mini_statement_account');
+
+    if (!account) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.enter_pin', { account: formatters.formatAccountNumber(account) })}\n\n${nav}`
+      };
+    }
+
+    const verification = await this.verifyPin(inputValue, session, context);
+    if (verification) {
+      return verification;
+    }
+
+    await session.blank('mini_statement_account');
+    return this.fetchMiniStatement(account, session, context);
+  }
+
+  async fetchMiniStatement(account, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = menuService.getApiEndpoint('STATEMENT') || {};
+
+    const data = [
+      `MERCHANTID:${endpoint.merchantId || 'STATEMENT'}`,
+      `BANKACCOUNTID:${account}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('STATEMENT', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('statement.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    const transactions = (result.parsed?.transactions || []).slice(0, endpoint.maxRecords || 10);
+
+    return {
+      action: 'con',
+      message: this.formatMiniStatement(account, transactions, context),
+      nextMenu: 'main_menu'
+    };
+  }
+
+  // Drops the oldest lines so the statement fits on one USSD screen
+  formatMiniStatement(account, transactions, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const header = t('statement.mini_header', { account: formatters.maskAccountNumber(account) });
+
+    if (transactions.length === 0) {
+      return `${header}\n${t('statement.no_transactions')}\n\n${nav}`;
+    }
+
+    const maxLength = menuService.getBusinessRule('ussd.maxScreenLength') || 182;
+    const lines = [];
+
+    for (const transaction of transactions) {
+      const line = `${transaction.date} ${transaction.description} ${transaction.amount}`.replace(/\s+/g, ' ').trim();
+      const candidate = [header, ...lines, line, '', nav].join('\n');
+      if (candidate.length > maxLength && lines.length > 0) break;
+      lines.push(line);
+    }
+
+    return [header, ...lines, '', nav].join('\n');
+  }
+
+  // Full statement: account -> start date -> end date -> email -> PIN
+  async processFullStatementAccount(inputValue, session, context) {
+    return this.processAccountSelection(inputValue, session, context, {
+      menuName: 'full_statement',
+      storeKey: 'full_statement_account',
+      nextMenu: 'full_statement_start'
+    });
+  }
+
+  async processFullStatementStart(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!await session.grab('full_statement_account')) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.enter_start_date')}\n\n${nav}`
+      };
+    }
+
+    const error = this.validateStatementDate(inputValue, context);
+    if (error) {
+      return {
+        action: 'con',
+        message: `${error}\n\n${t('statement.enter_start_date')}\n\n${nav}`
+      };
+    }
+
+    await session.store('full_statement_start', inputValue);
+
+    return {
+      nextMenu: 'full_statement_end'
+    };
+  }
+
+  async processFullStatementEnd(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const startDate = await session.grab('full_statement_start');
+
+    if (!startDate) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.enter_end_date')}\n\n${nav}`
+      };
+    }
+
+    const error = this.validateStatementDate(inputValue, context);
+    if (error) {
+      return {
+        action: 'con',
+        message: `${error}\n\n${t('statement.enter_end_date')}\n\n${nav}`
+      };
+    }
+
+    if (this.parseDate(inputValue).isBefore(this.parseDate(startDate))) {
+      return {
+        action: 'con',
+        message: `${t('statement.end_before_start')}\n\n${t('statement.enter_end_date')}\n\n${nav}`
+      };
+    }
+
+    await session.store('full_statement_end', inputValue);
+
+    return {
+      nextMenu: 'full_statement_email'
+    };
+  }
+
+  async processFullStatementEmail(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!await session.grab('full_statement_end')) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.enter_email')}\n\n${nav}`
+      };
+    }
+
+    const email = validators.normalizeEmail(inputValue, menuService.getValidationRule('email.pattern'));
+    if (!email) {
+      return {
+        action: 'con',
+        message: `${t('statement.invalid_email')}\n\n${t('statement.enter_email')}\n\n${nav}`
+      };
+    }
+
+    await session.store('full_statement_email', email);
+
+    return {
+      nextMenu: 'full_statement_pin'
+    };
+  }
+
+  async processFullStatementPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    const request = {
+      account: await session.grab('full_statement_account'),
+      startDate: await session.grab('full_statement_start'),
+      endDate: await session.grab('full_statement_end'),
+      email: await session.grab('full_statement_email')
+    };
+
+    if (!request.account || !request.email) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('statement.confirm_full', {
+          account: formatters.maskAccountNumber(request.account),
+          start: this.displayDate(request.startDate),
+          end: this.displayDate(request.endDate),
+          email: request.email
+        })}\n\n${nav}`
+      };
+    }
+
+    const verification = await this.verifyPin(inputValue, session, context);
+    if (verification) {
+      return verification;
+    }
+
+    for (const key of ['full_statement_account', 'full_statement_start', 'full_statement_end', 'full_statement_email']) {
+      await session.blank(key);
+    }
+
+    return this.requestFullStatement(request, session, context);
+  }
+
+  async requestFullStatement(request, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = menuService.getApiEndpoint('FULL_STATEMENT') || {};
+
+    const data = [
+      `MERCHANTID:${endpoint.merchantId || 'FULLSTATEMENT'}`,
+      `BANKACCOUNTID:${request.account}`,
+      `STARTDATE:${request.startDate}`,
+      `ENDDATE:${request.endDate}`,
+      `EMAIL:${request.email}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('FULL_STATEMENT', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('statement.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    loggingService.logAudit('FULL_STATEMENT_REQUEST', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      account: formatters.maskAccountNumber(request.account),
+      startDate: request.startDate,
+      endDate: request.endDate
+    });
+
+    return {
+      action: 'con',
+      message: `${t('statement.full_requested', {
+        start: this.displayDate(request.startDate),
+        end: this.displayDate(request.endDate),
+        email: request.email
+      })}\n\n${nav}`,
+      nextMenu: 'main_menu'
+    };
+  }
+
+  async processAccountSelection(inputValue, session, context, { menuName, storeKey, nextMenu }) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
         return {
           action: 'con',
-          message: `Unable to fetch statement: ${result.message}\n\n1. Try again\n2. Back to menu`
+          message: `${t('balance.no_accounts')}\n\n${nav}`
         };
       }
 
-    } catch (error) {
-      loggingService.logError(error, {
-        msisdn: session.msisdn,
-        module: 'statement'
-      });
-      
+      const message = await menuService.renderPage(menuName, {
+        header: t('statement.select_account'),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('balance.invalid_account')}\n\n${nav}`,
+        retryMenu: menuName
+      };
+    }
+
+    await session.store(storeKey, accounts[key]);
+
+    return {
+      nextMenu: nextMenu
+    };
+  }
+
+  // Returns a screen when the PIN is rejected, nothing when it is accepted
+  async verifyPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'statement', context.language);
+    if (verification.success) {
+      return null;
+    }
+
+    if (verification.locked) {
       return {
         action: 'end',
-        message: 'Sorry, we encountered an error fetching your statement. Please try again later.'
+        message: verification.message
       };
     }
+
+    return {
+      action: 'con',
+      message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+    };
   }
 
-  parseStatementResponse(data) {
-    // Parse API response into transaction objects
-    // This depends on your API response format
-    const transactions = [];
-    
-    // Example parsing logic
-    if (data && data.length > 10) {
-      // Assuming transactions start from index 10
-      for (let i = 10; i < data.length; i += 5) {
-        if (data[i]) {
-          transactions.push({
-            date: data[i] || '',
-            description: data[i + 1] || '',
-            type: data[i + 2] || '',
-            amount: data[i + 3] || '0.00',
-            balance: data[i + 4] || '0.00'
-          });
-        }
-      }
+  // date.constraints in validation-rules.json
+  validateStatementDate(value, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+
+    if (!validators.validateDate(value, this.dateFormat)) {
+      return t('statement.invalid_date');
+    }
+
+    const constraints = menuService.getValidationRule('date.constraints') || {};
+    const date = this.parseDate(value);
+    const today = moment().tz(this.timezone).endOf('day');
+
+    if (date.isAfter(today.clone().add(constraints.maxFutureDays || 0, 'days'))) {
+      return t('statement.future_date');
     }
-    
-    return transactions;
+
+    const maxPastDays = constraints.maxPastDays || 3650;
+    if (date.isBefore(today.clone().subtract(maxPastDays, 'days').startOf('day'))) {
+      return t('statement.date_too_old', { days: maxPastDays });
+    }
+
+    return null;
+  }
+
+  parseDate(value) {
+    return moment.tz(value, this.dateFormat, true, this.timezone);
+  }
+
+  displayDate(value) {
+    return this.parseDate(value).format('DD/MM/YYYY');
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('statement.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
   }
 }
 
-module.exports = new StatementModule();
\ No newline at end of file
+module.exports = new StatementModule();
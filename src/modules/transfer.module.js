@@ -0,0 +1,358 @@
+// src/modules/transfer.module.js
+const apiService = require('../services/api.service');
+const menuService = require('../services/menu.service');
+const i18nService = require('../services/i18n.service');
+const pinSecurityService = require('../services/pin-security.service');
+const limitsService = require('../services/limits.service');
+const chargesService = require('../services/charges.service');
+const loggingService = require('../services/logging.service');
+const beneficiaryService = require('../services/beneficiary.service');
+const formatters = require('../utils/formatters');
+const validators = require('../utils/validators');
+
+class TransferModule {
+  // Step 1 - source account
+  async processSourceAccount(inputValue, session, context) {
+    const accounts = context.customer?.accounts || [];
+    const t = key => i18nService.t(key, context.language);
+    const nav = t('common.nav_back_exit');
+
+    if (!inputValue) {
+      if (accounts.length === 0) {
+        return {
+          action: 'con',
+          message: `${t('transfer.no_accounts')}\n\n${nav}`
+        };
+      }
+
+      const message = await menuService.renderPage('transfer_sidian', {
+        header: t('transfer.select_source'),
+        items: accounts.map((account, index) => ({ index, text: formatters.formatAccountNumber(account) })),
+        footer: `\n${nav}`,
+        language: context.language
+      }, context);
+
+      return {
+        action: 'con',
+        message: message
+      };
+    }
+
+    const key = parseInt(inputValue, 10) - 1;
+    if (!/^\d+$/.test(inputValue) || key < 0 || key >= accounts.length) {
+      return {
+        action: 'con',
+        message: `${t('common.invalid_selection')}\n\n${nav}`,
+        retryMenu: 'transfer_sidian'
+      };
+    }
+
+    await session.store('transfer_details', { sourceAccount: accounts[key] });
+
+    return {
+      nextMenu: 'transfer_sidian_account'
+    };
+  }
+
+  // Step 2 - destination account and name lookup
+  async processDestinationAccount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('transfer_details');
+
+    if (!details?.sourceAccount) {
+      return this.expired(context);
+    }
+
+    const saved = await session.beneficiaries('account');
+
+    if (!inputValue) {
+      const prompt = saved.length > 0
+        ? `${t('beneficiary.saved_list')}\n${beneficiaryService.pickList(saved)}\n\n${t('transfer.enter_destination')}`
+        : t('transfer.enter_destination');
+
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    const picked = beneficiaryService.pick(saved, inputValue);
+    const account = picked ? picked.value : inputValue.replace(/\s/g, '');
+    const pattern = menuService.getValidationRule('account.patterns.withCheckDigit') || '^[0-9]{8,15}$';
+
+    if (!new RegExp(pattern).test(account)) {
+      return {
+        action: 'con',
+        message: `${t('transfer.invalid_destination')}\n\n${t('transfer.enter_destination')}\n\n${nav}`
+      };
+    }
+
+    if (account === details.sourceAccount) {
+      return {
+        action: 'con',
+        message: `${t('transfer.same_account')}\n\n${t('transfer.enter_destination')}\n\n${nav}`
+      };
+    }
+
+    const lookup = await this.lookupAccount(account, session);
+    if (!lookup.success) {
+      return {
+        action: 'con',
+        message: `${t('transfer.lookup_failed', { account, error: lookup.error })}\n\n${t('transfer.enter_destination')}\n\n${nav}`
+      };
+    }
+
+    await session.store('transfer_details', {
+      ...details,
+      destinationAccount: account,
+      destinationName: lookup.name
+    });
+
+    return {
+      nextMenu: 'transfer_sidian_amount'
+    };
+  }
+
+  // Step 3 - amount within transactionLimits.transfer
+  async processAmount(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('transfer_details');
+    const limits = this.getLimits();
+
+    if (!details?.destinationAccount) {
+      return this.expired(context);
+    }
+
+    const prompt = t('transfer.enter_amount', {
+      name: details.destinationName,
+      account: formatters.formatAccountNumber(details.destinationAccount),
+      min: formatters.formatAmount(limits.minAmount),
+      max: formatters.formatAmount(limits.maxAmount)
+    });
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${prompt}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validateAmount(inputValue, { min: limits.minAmount, max: limits.maxAmount })) {
+      return {
+        action: 'con',
+        message: `${t('transfer.invalid_amount', {
+          min: formatters.formatAmount(limits.minAmount),
+          max: formatters.formatAmount(limits.maxAmount)
+        })}\n\n${prompt}\n\n${nav}`
+      };
+    }
+
+    // The charge counts towards the daily limit as well
+    const quote = chargesService.calculate('transfer', inputValue);
+    const limitCheck = await limitsService.checkLimit(session, 'transfer', quote.total);
+    if (!limitCheck.allowed) {
+      return {
+        action: 'con',
+        message: `${limitsService.getLimitMessage(limitCheck, context.language)}\n\n${nav}`
+      };
+    }
+
+    await chargesService.applyToTransaction(session, 'transfer', quote.amount);
+    await session.store('transfer_details', {
+      ...details,
+      amount: quote.amount,
+      charge: quote.charge,
+      total: quote.total
+    });
+
+    return {
+      nextMenu: 'transfer_sidian_confirm'
+    };
+  }
+
+  // Step 4 - confirmation with charges
+  async processConfirmation(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('transfer_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('transfer.confirm', {
+          amount: formatters.formatAmount(details.amount),
+          name: details.destinationName,
+          account: formatters.maskAccountNumber(details.destinationAccount),
+          source: formatters.maskAccountNumber(details.sourceAccount),
+          charge: formatters.formatAmount(details.charge),
+          total: formatters.formatAmount(details.total)
+        })}\n\n${nav}`
+      };
+    }
+
+    if (inputValue === '1') {
+      return {
+        nextMenu: 'transfer_sidian_pin'
+      };
+    }
+
+    if (inputValue === '2') {
+      await session.blank('transfer_details');
+      await chargesService.clearTransaction(session);
+      return {
+        action: 'con',
+        message: `${t('transfer.cancelled')}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    return {
+      action: 'con',
+      message: `${t('common.invalid_selection')}\n\n${nav}`,
+      retryMenu: 'transfer_sidian_confirm'
+    };
+  }
+
+  // Step 5 - PIN authorisation and posting
+  async processPin(inputValue, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const details = await session.grab('transfer_details');
+
+    if (!details?.amount) {
+      return this.expired(context);
+    }
+
+    if (!inputValue) {
+      return {
+        action: 'con',
+        message: `${t('transfer.enter_pin')}\n\n${nav}`
+      };
+    }
+
+    if (!validators.validatePin(inputValue)) {
+      return {
+        action: 'con',
+        message: `${t('pin.format')}\n\n${nav}`
+      };
+    }
+
+    const verification = await pinSecurityService.verifyPin(session, inputValue, 'transfer', context.language);
+    if (!verification.success) {
+      if (verification.locked) {
+        await session.blank('transfer_details');
+        return {
+          action: 'end',
+          message: verification.message
+        };
+      }
+
+      return {
+        action: 'con',
+        message: `${t('pin.retry', { error: verification.message })}\n\n${nav}`
+      };
+    }
+
+    await session.blank('transfer_details');
+    await chargesService.clearTransaction(session);
+    return this.postTransfer(details, session, context);
+  }
+
+  async postTransfer(details, session, context) {
+    const t = (key, params) => i18nService.t(key, context.language, params);
+    const nav = t('common.nav_back_exit');
+    const endpoint = menuService.getApiEndpoint('FUNDS_TRANSFER') || {};
+
+    const data = [
+      `MERCHANTID:${endpoint.merchantId || 'SIDIAN'}`,
+      `BANKACCOUNTID:${details.sourceAccount}`,
+      `TOACCOUNT:${details.destinationAccount}`,
+      `AMOUNT:${details.amount}`,
+      `CUSTOMERID:${context.customer?.customerid}`,
+      `MOBILENUMBER:${session.msisdn}`
+    ].join(':');
+
+    const result = await apiService.call('FUNDS_TRANSFER', data, session);
+
+    if (!result.success) {
+      return {
+        action: 'con',
+        message: `${t('transfer.failed', { error: result.error || t('common.system_error') })}\n\n${nav}`,
+        nextMenu: 'main_menu'
+      };
+    }
+
+    await limitsService.recordTransaction(session, 'transfer', details.total);
+
+    const reference = result.parsed?.reference || 'N/A';
+
+    loggingService.logAudit('FUNDS_TRANSFER', {
+      msisdn: session.msisdn,
+      customerId: context.customer?.customerid,
+      from: formatters.maskAccountNumber(details.sourceAccount),
+      to: formatters.maskAccountNumber(details.destinationAccount),
+      amount: details.amount,
+      charge: details.charge,
+      reference
+    });
+
+    const offered = await session.offerBeneficiary('account', {
+      value: details.destinationAccount,
+      name: details.destinationName
+    });
+
+    return {
+      action: 'con',
+      message: `${t('transfer.success', {
+        amount: formatters.formatAmount(details.amount),
+        name: details.destinationName,
+        account: formatters.maskAccountNumber(details.destinationAccount),
+        reference
+      })}\n\n${offered ? `${t('beneficiary.offer')}\n` : ''}${nav}`,
+      nextMenu: offered ? 'beneficiary_save' : 'main_menu'
+    };
+  }
+
+  async lookupAccount(account, session) {
+    const endpoint = menuService.getApiEndpoint('ACCOUNT_LOOKUP') || {};
+    const data = `MERCHANTID:${endpoint.merchantId || 'ACCOUNTNAME'}:TOACCOUNT:${account}:MOBILENUMBER:${session.msisdn}`;
+
+    try {
+      const result = await apiService.call('ACCOUNT_LOOKUP', data, session);
+      const name = result.data?.ACCOUNTNAME || result.data?.DATA;
+
+      if (result.success && name) {
+        return { success: true, name: name.trim() };
+      }
+
+      return { success: false, error: result.error || '' };
+    } catch (error) {
+      console.error('Account lookup error:', error.message);
+      return { success: false, error: '' };
+    }
+  }
+
+  getLimits() {
+    return {
+      minAmount: 100,
+      maxAmount: 100000,
+      ...menuService.getBusinessRule('transactionLimits.transfer')
+    };
+  }
+
+  expired(context) {
+    return {
+      action: 'con',
+      message: `${i18nService.t('transfer.session_expired', context.language)}\n\n${i18nService.t('common.nav_back_exit', context.language)}`,
+      nextMenu: 'main_menu'
+    };
+  }
+}
+
+module.exports = new TransferModule();
@@ -1,12 +1,30 @@
 // src/services/api.service.js
 const axios = require('axios');
+const _ = require('lodash');
 const { v4: uuidv4 } = require('uuid');
 const loggingService = require('./logging.service');
+const responseParser = require('./response-parser.service');
+const circuitBreaker = require('./circuit-breaker.service');
+const i18nService = require('./i18n.service');
+const cacheService = require('./cache.service');
+
+// Used when an endpoint has no successStatus/errorMapping of its own
+const DEFAULT_SUCCESS_STATUS = ['000', '00', '0', 'OK', 'SUCCESS'];
+const DEFAULT_ERROR_MAPPING = {
+  '091': 'Invalid PIN',
+  '092': 'Account locked',
+  '093': 'Invalid account'
+};
+
+// PINs and the identity details checked before a PIN reset are masked wherever a request is logged
+const SENSITIVE_FIELDS = ['LOGINMPIN', 'OLDMPIN', 'NEWMPIN', 'IDNUMBER', 'DOB'];
+const SENSITIVE_PATTERN = new RegExp(`((?:^|:)(?:${SENSITIVE_FIELDS.join('|')}):)[^:]*`, 'g');
+const MASKED_VALUE = '****';
 
 class APIService {
   constructor() {
     this.baseURL = process.env.ELMA_API_URL;
-    this.timeout = parseInt(process.env.API_TIMEOUT) || 25000;
+    this.timeout = parseInt(process.env.API_TIMEOUT) || 8000;
 
     this.httpClient = axios.create({
       timeout: this.timeout,
@@ -21,38 +39,97 @@ class APIService {
     return this.call('LOGIN', data, session);
   }
 
+  // serviceName is an api-endpoints.json key (e.g. FUNDS_TRANSFER) or a raw form ID (e.g. B-).
+  // cacheKey overrides the endpoint's cacheKey template for this call.
   async call(serviceName, data, session, cacheKey = null) {
 
     const requestId = uuidv4();
     const deviceId = `${session.msisdn || ''}${session.shortcode || ''}`;
 
-    // IMPORTANT: For BALANCE, serviceName is "B-" not "BALANCE"
-    const logServiceName = serviceName === 'B-' ? 'BALANCE' : serviceName;
+    const endpoint = this.getEndpoint(serviceName, this.parseDataString(data));
+    const formId = endpoint?.formId || serviceName;
+    // Shared form IDs (B-, M-) get a breaker per endpoint, so a lookup outage leaves balance up
+    const circuitKey = endpoint?.key || formId;
+
+    // IMPORTANT: For BALANCE, the form ID is "B-" not "BALANCE"
+    const logServiceName = endpoint?.name || endpoint?.key || serviceName;
+
+    const fullData = this.buildDataString(formId, data, session, requestId, deviceId);
+
+    const missingFields = this.findMissingFields(endpoint, this.parseDataString(fullData));
+    if (missingFields.length > 0) {
+      console.error(`${logServiceName} call rejected, missing required fields: ${missingFields.join(', ')}`);
+      return {
+        success: false,
+        status: 'INVALID',
+        code: 'MISSING_REQUIRED_FIELDS',
+        data: {},
+        raw: '',
+        missingFields,
+        error: 'Required details are missing'
+      };
+    }
+
+    // Endpoints declaring a cacheKey are answered from CacheService until cacheTTL expires
+    const responseKey = this.getCacheKey(cacheKey || endpoint?.cacheKey, session, fullData);
+    if (responseKey) {
+      const cached = await cacheService.get(responseKey);
+      cacheService.recordLookup(logServiceName, Boolean(cached));
+
+      if (cached) {
+        return { ...cached, cached: true };
+      }
+    }
+
+    // Fail fast while this endpoint's breaker is open instead of holding the session
+    if (!circuitBreaker.canRequest(circuitKey)) {
+      console.warn(`Circuit for ${circuitKey} is open, skipping ${logServiceName} call`);
+      return this.unavailableResult(session, 'CIRCUIT_OPEN');
+    }
 
-    const fullData = this.buildDataString(serviceName, data, session, requestId, deviceId);
     const encodedData = encodeURIComponent(fullData);
     const fullUrl = `${this.baseURL}?b=${encodedData}`;
 
-    console.log('Full URL:', fullUrl);
+    const maskedData = this.maskDataString(fullData);
+    const maskedUrl = `${this.baseURL}?b=${encodeURIComponent(maskedData)}`;
 
-    loggingService.logRequest(logServiceName, fullData);
-    loggingService.logUrl(fullUrl);
+    console.log('Full URL:', maskedUrl);
+
+    loggingService.logRequest(logServiceName, maskedData);
+    loggingService.logUrl(maskedUrl);
 
     try {
       console.log('Making HTTP request...');
-      const response = await this.httpClient.get(fullUrl);
+      const response = await this.request(fullUrl, endpoint, logServiceName);
       console.log('HTTP response received');
+      circuitBreaker.recordSuccess(circuitKey);
 
       const rawResponse = response.data.replace(/<[^>]+>/g, '').trim();
       console.log('Raw response:', rawResponse);
 
       loggingService.logResponse(logServiceName, rawResponse);
 
-      const parsedResponse = this.parseResponse(rawResponse);
+      const parsedResponse = this.parseResponse(rawResponse, endpoint);
       console.log('Parsed response:', parsedResponse);
 
+      // Typed result from the endpoint's parseFunction, e.g. { reference, token } for receipts
+      if (parsedResponse.success) {
+        parsedResponse.parsed = responseParser.parse(endpoint?.parseFunction, parsedResponse.data, endpoint);
+      }
+
+      if (parsedResponse.success) {
+        if (responseKey) {
+          await cacheService.set(responseKey, parsedResponse, endpoint?.cacheTTL);
+        }
+
+        // e.g. CHANGE_PIN drops the cached customer record
+        for (const template of endpoint?.invalidates || []) {
+          await this.deleteCached(template, session, fullData);
+        }
+      }
+
       // Log customer data if GETCUSTOMER
-      if (serviceName === 'GETCUSTOMER' && parsedResponse.success) {
+      if (formId === 'GETCUSTOMER' && parsedResponse.success) {
         loggingService.logCustomer(
           parsedResponse.data,
           session.msisdn,
@@ -62,23 +139,93 @@ class APIService {
         );
       }
 
-      console.log(`=== API CALL END: ${serviceName} ===`);
+      console.log(`=== API CALL END: ${logServiceName} ===`);
       return parsedResponse;
 
     } catch (error) {
       console.error('API Call Failed:', error.message);
       console.error('Error stack:', error.stack);
-      return {
-        success: false,
-        status: 'ERROR',
-        code: 'API_CONNECTION_ERROR',
-        data: {},
-        raw: '',
-        error: 'Service temporarily unavailable'
-      };
+      circuitBreaker.recordFailure(circuitKey, error.message);
+      return this.unavailableResult(session, 'API_CONNECTION_ERROR');
+    }
+  }
+
+  // Per-endpoint timeout; only endpoints marked idempotent (inquiries) are retried
+  async request(url, endpoint, logServiceName) {
+    const timeout = endpoint?.timeout || this.timeout;
+    const attempts = endpoint?.idempotent ? 1 + (endpoint.retries || 0) : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.httpClient.get(url, { timeout });
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+
+        console.warn(`${logServiceName} attempt ${attempt}/${attempts} failed (${error.message}), retrying`);
+        await new Promise(resolve => setTimeout(resolve, endpoint.retryDelay || 250));
+      }
     }
   }
 
+  // Values for cache key templates: the session's msisdn and customerid, plus any request field
+  getCacheKey(template, session, data = '') {
+    if (!template) return null;
+
+    return cacheService.renderKey(template, {
+      ..._.mapKeys(this.parseDataString(data), (value, field) => field.toLowerCase()),
+      msisdn: session.msisdn,
+      customerid: session.customerData?.customerid
+    });
+  }
+
+  async deleteCached(template, session, data = '') {
+    const key = this.getCacheKey(template, session, data);
+    if (!key) return false;
+    return cacheService.delete(key);
+  }
+
+  // Drops a cached response outside an API call, e.g. after an account is linked at a branch
+  async invalidate(serviceName, session, data = '') {
+    const endpoint = this.getEndpoint(serviceName, this.parseDataString(data));
+    return this.deleteCached(endpoint?.cacheKey, session, data);
+  }
+
+  unavailableResult(session, code) {
+    return {
+      success: false,
+      status: 'ERROR',
+      code,
+      unavailable: true,
+      data: {},
+      raw: '',
+      error: i18nService.t('common.service_unavailable', session.customerData?.language)
+    };
+  }
+
+  // Several endpoints share a form ID (B-, M-), so a raw form ID is narrowed by MERCHANTID
+  // before falling back to the endpoint keyed by that name
+  getEndpoint(serviceName, fields = {}) {
+    const menuService = require('./menu.service');
+    const endpoints = menuService.apiEndpoints || {};
+
+    const match = Object.entries(endpoints).find(([, endpoint]) =>
+      endpoint.formId === serviceName && endpoint.merchantId && endpoint.merchantId === fields.MERCHANTID
+    );
+
+    if (match) {
+      return { key: match[0], ...match[1] };
+    }
+
+    return endpoints[serviceName] ? { key: serviceName, ...endpoints[serviceName] } : null;
+  }
+
+  // Template literals turn absent values into "undefined"/"null", so those count as missing too
+  findMissingFields(endpoint, fields) {
+    return (endpoint?.requiredFields || []).filter(field =>
+      fields[field] === undefined || ['', 'undefined', 'null'].includes(String(fields[field]))
+    );
+  }
+
   buildDataString(serviceName, additionalDataString, session, requestId, deviceId) {
     console.log(`Building data string for service: ${serviceName}`);
 
@@ -116,10 +263,18 @@ class APIService {
       }
     });
 
-    console.log('Final data string:', dataString);
+    console.log('Final data string:', this.maskDataString(dataString));
     return dataString;
   }
 
+  maskDataString(dataString) {
+    return String(dataString || '').replace(SENSITIVE_PATTERN, `$1${MASKED_VALUE}`);
+  }
+
+  maskFields(fields) {
+    return _.mapValues(fields, (value, key) => (SENSITIVE_FIELDS.includes(key) ? MASKED_VALUE : value));
+  }
+
   parseDataString(dataString) {
     const result = {};
     if (!dataString || typeof dataString !== 'string') {
@@ -133,11 +288,11 @@ class APIService {
       }
     }
 
-    console.log('Parsed data string:', result);
+    console.log('Parsed data string:', this.maskFields(result));
     return result;
   }
 
-  parseResponse(rawResponse, serviceName) {
+  parseResponse(rawResponse, endpoint = null) {
 
     try {
       const lines = rawResponse.split(':');
@@ -152,24 +307,14 @@ class APIService {
       const status = result.STATUS;
       const message = result.DATA || result.MESSAGE || '';
 
-      const successCodes = ['000', '00', '0', 'OK', 'SUCCESS'];
+      // successStatus and errorMapping in api-endpoints.json override the defaults
+      const successCodes = endpoint?.successStatus || DEFAULT_SUCCESS_STATUS;
       const isSuccess = successCodes.includes(status);
 
       let errorMessage = message;
       if (!isSuccess) {
-        switch (status) {
-          case '091':
-            errorMessage = 'Invalid PIN';
-            break;
-          case '092':
-            errorMessage = 'Account locked';
-            break;
-          case '093':
-            errorMessage = 'Invalid account';
-            break;
-          default:
-            errorMessage = message || 'Unknown error';
-        }
+        const errorMapping = { ...DEFAULT_ERROR_MAPPING, ...endpoint?.errorMapping };
+        errorMessage = errorMapping[status] || message || 'Unknown error';
       }
 
       return {
@@ -0,0 +1,142 @@
+// src/services/beneficiary.service.js
+const redisService = require('../config/redis');
+const menuService = require('./menu.service');
+const formatters = require('../utils/formatters');
+
+// Saved recipients live under the customer, not the USSD session, so they outlive
+// the session TTL. Types: account (Sidian account), mobile (phone number), bill (biller account),
+// pesalink (account at another bank).
+class BeneficiaryService {
+  constructor() {
+    this.prefix = process.env.REDIS_BENEFICIARY_PREFIX || 'ussd:beneficiaries';
+  }
+
+  // beneficiaries in business-rules.json
+  getSettings() {
+    return {
+      maxPerType: 5,
+      ttl: 31536000,
+      ...menuService.getBusinessRule('beneficiaries')
+    };
+  }
+
+  getKey(session) {
+    const customer = session.customerData?.customerid && session.customerData.customerid !== 'GUEST'
+      ? session.customerData.customerid
+      : session.msisdn;
+    return `${this.prefix}:${customer}`;
+  }
+
+  async getAll(session) {
+    try {
+      const data = await redisService.get(this.getKey(session));
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Beneficiary lookup error:', error.message);
+      return [];
+    }
+  }
+
+  async list(session, type) {
+    const beneficiaries = await this.getAll(session);
+    return type ? beneficiaries.filter(item => item.type === type) : beneficiaries;
+  }
+
+  isSame(item, type, beneficiary) {
+    return item.type === type
+      && item.value === beneficiary.value
+      && (item.biller || null) === (beneficiary.biller || null)
+      && (item.bank || null) === (beneficiary.bank || null);
+  }
+
+  async find(session, type, beneficiary) {
+    const beneficiaries = await this.getAll(session);
+    return beneficiaries.find(item => this.isSame(item, type, beneficiary)) || null;
+  }
+
+  async add(session, type, beneficiary) {
+    const { maxPerType, ttl } = this.getSettings();
+    const beneficiaries = await this.getAll(session);
+
+    if (beneficiaries.some(item => this.isSame(item, type, beneficiary))) {
+      return { success: false, duplicate: true };
+    }
+
+    if (beneficiaries.filter(item => item.type === type).length >= maxPerType) {
+      return { success: false, full: true, max: maxPerType };
+    }
+
+    try {
+      const saved = {
+        type,
+        value: beneficiary.value,
+        name: beneficiary.name,
+        ...(beneficiary.biller ? { biller: beneficiary.biller } : {}),
+        ...(beneficiary.bank ? { bank: beneficiary.bank } : {}),
+        addedAt: Date.now()
+      };
+
+      await redisService.set(this.getKey(session), JSON.stringify([...beneficiaries, saved]), ttl);
+      return { success: true, beneficiary: saved };
+    } catch (error) {
+      console.error('Beneficiary save error:', error.message);
+      return { success: false };
+    }
+  }
+
+  async remove(session, type, beneficiary) {
+    const { ttl } = this.getSettings();
+    const beneficiaries = await this.getAll(session);
+    const remaining = beneficiaries.filter(item => !this.isSame(item, type, beneficiary));
+
+    try {
+      if (remaining.length === 0) {
+        await redisService.del(this.getKey(session));
+      } else {
+        await redisService.set(this.getKey(session), JSON.stringify(remaining), ttl);
+      }
+      return remaining.length < beneficiaries.length;
+    } catch (error) {
+      console.error('Beneficiary delete error:', error.message);
+      return false;
+    }
+  }
+
+  // Keeps a just-paid recipient in the session so beneficiaries.processSaveOffer can save it.
+  // Returns false when it is already saved or the customer has no room for another.
+  async offer(session, type, beneficiary) {
+    if (!beneficiary.value || await this.find(session, type, beneficiary)) {
+      return false;
+    }
+
+    const saved = await this.list(session, type);
+    if (saved.length >= this.getSettings().maxPerType) {
+      return false;
+    }
+
+    await session.store('beneficiary_offer', { type, ...beneficiary });
+    return true;
+  }
+
+  // Single digits pick from the list; anything longer is a typed-in recipient
+  pick(beneficiaries, inputValue) {
+    if (!/^\d$/.test(inputValue)) return null;
+    return beneficiaries[parseInt(inputValue, 10) - 1] || null;
+  }
+
+  describe(beneficiary) {
+    const value = {
+      account: formatters.maskAccountNumber(beneficiary.value),
+      pesalink: formatters.maskAccountNumber(beneficiary.value),
+      mobile: formatters.localMsisdn(beneficiary.value)
+    }[beneficiary.type] || beneficiary.value;
+
+    return beneficiary.name ? `${beneficiary.name} ${value}` : value;
+  }
+
+  pickList(beneficiaries) {
+    return beneficiaries.map((item, index) => `${index + 1}. ${this.describe(item)}`).join('\n');
+  }
+}
+
+module.exports = new BeneficiaryService();
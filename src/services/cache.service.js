@@ -4,6 +4,44 @@ const redisService = require('../config/redis');
 class CacheService {
   constructor() {
     this.prefix = 'cache:';
+    this.stats = new Map();
+  }
+
+  // Fills "{name}" placeholders (e.g. customer_{msisdn}) from values; null when any is missing
+  renderKey(template, values = {}) {
+    let complete = true;
+
+    const key = template.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = values[name.toLowerCase()];
+      if (value === undefined || value === null || value === '' || value === 'undefined') {
+        complete = false;
+        return match;
+      }
+      return value;
+    });
+
+    return complete ? key : null;
+  }
+
+  // Hit/miss counters per group (the endpoint name for API responses), kept per instance
+  recordLookup(group, hit) {
+    const stats = this.stats.get(group) || { hits: 0, misses: 0 };
+    stats[hit ? 'hits' : 'misses'] += 1;
+    this.stats.set(group, stats);
+  }
+
+  getStats() {
+    const status = {};
+
+    for (const [group, stats] of this.stats) {
+      const total = stats.hits + stats.misses;
+      status[group] = {
+        ...stats,
+        hitRate: total ? Math.round((stats.hits / total) * 100) / 100 : 0
+      };
+    }
+
+    return status;
   }
 
   async get(key) {
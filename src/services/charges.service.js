@@ -0,0 +1,84 @@
+// src/services/charges.service.js
+const menuService = require('./menu.service');
+
+class ChargesService {
+  // charges.<type> in business-rules.json is either a flat fee, a set of bands
+  // ("0-100": 0, "35001+": 297) or keyed by sub-type such as the airtime network
+  getCharge(type, amount, options = {}) {
+    let rule = menuService.getBusinessRule(['charges', type]);
+
+    if (rule && typeof rule === 'object' && !this.isBandTable(rule)) {
+      rule = rule[options.subType];
+    }
+
+    if (typeof rule === 'number') {
+      return rule;
+    }
+
+    if (rule && typeof rule === 'object') {
+      return this.getBandCharge(rule, Number(amount));
+    }
+
+    return 0;
+  }
+
+  calculate(type, amount, options = {}) {
+    const numericAmount = Number(amount) || 0;
+    const charge = this.getCharge(type, numericAmount, options);
+
+    return {
+      type,
+      amount: numericAmount,
+      charge,
+      total: numericAmount + charge
+    };
+  }
+
+  // Makes {transaction.amount}, {transaction.charge} and {transaction.total} available to menu templates
+  async applyToTransaction(session, type, amount, options = {}) {
+    const quote = this.calculate(type, amount, options);
+    const transactionData = { ...options, ...quote };
+
+    session.transactionData = transactionData;
+    await session.updateSession({ transactionData });
+
+    return quote;
+  }
+
+  async clearTransaction(session) {
+    session.transactionData = {};
+    await session.updateSession({ transactionData: {} });
+  }
+
+  isBandTable(rule) {
+    const keys = Object.keys(rule);
+    return keys.length > 0 && keys.every(key => this.parseBand(key) !== null);
+  }
+
+  parseBand(band) {
+    const open = /^(\d+(?:\.\d+)?)\+$/.exec(band);
+    if (open) {
+      return { min: parseFloat(open[1]), max: Infinity };
+    }
+
+    const closed = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(band);
+    if (closed) {
+      return { min: parseFloat(closed[1]), max: parseFloat(closed[2]) };
+    }
+
+    return null;
+  }
+
+  // Bands are contiguous, so the highest band starting at or below the amount applies
+  // (this also covers cents between e.g. "0-100" and "101-2500")
+  getBandCharge(bands, amount) {
+    const match = Object.entries(bands)
+      .map(([band, charge]) => ({ ...this.parseBand(band), charge: Number(charge) || 0 }))
+      .filter(band => band.min !== undefined && band.min <= amount)
+      .sort((a, b) => b.min - a.min)[0];
+
+    return match ? match.charge : 0;
+  }
+}
+
+module.exports = new ChargesService();
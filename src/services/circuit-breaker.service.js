@@ -0,0 +1,103 @@
+// src/services/circuit-breaker.service.js
+
+// One breaker per api-endpoints.json endpoint (form ID plus merchant, e.g.
+// ACCOUNT_LOOKUP and balance both use B-), kept in memory per instance. After
+// CIRCUIT_FAILURE_THRESHOLD consecutive connection failures the endpoint is
+// "open" and calls fail fast; after CIRCUIT_RESET_TIMEOUT ms one trial call
+// is let through ("half_open") and its outcome closes or re-opens the breaker.
+class CircuitBreakerService {
+  constructor() {
+    this.circuits = new Map();
+    this.failureThreshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+    this.resetTimeout = parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 30000;
+  }
+
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null
+      });
+    }
+    return this.circuits.get(key);
+  }
+
+  canRequest(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.resetTimeout) {
+      circuit.state = 'half_open';
+      circuit.trialInFlight = false;
+    }
+
+    if (circuit.state === 'open') return false;
+
+    if (circuit.state === 'half_open') {
+      if (circuit.trialInFlight) return false;
+      circuit.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state !== 'closed') {
+      console.log(`Circuit for ${key} closed`);
+    }
+
+    Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+  }
+
+  recordFailure(key, error) {
+    const circuit = this.getCircuit(key);
+    circuit.failures += 1;
+    circuit.lastError = error;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`Circuit for ${key} opened after ${circuit.failures} failure(s): ${error}`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  // For the health endpoint
+  getStatus() {
+    const status = {};
+
+    for (const [key, circuit] of this.circuits) {
+      status[key] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        lastError: circuit.lastError,
+        ...(circuit.openedAt ? {
+          openedAt: new Date(circuit.openedAt).toISOString(),
+          retryAt: new Date(circuit.openedAt + this.resetTimeout).toISOString()
+        } : {})
+      };
+    }
+
+    return status;
+  }
+
+  hasOpenCircuits() {
+    return [...this.circuits.values()].some(circuit => circuit.state !== 'closed');
+  }
+
+  reset(key) {
+    if (key) {
+      this.circuits.delete(key);
+    } else {
+      this.circuits.clear();
+    }
+  }
+}
+
+module.exports = new CircuitBreakerService();
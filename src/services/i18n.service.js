@@ -0,0 +1,105 @@
+// src/services/i18n.service.js
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+class I18nService {
+  constructor() {
+    this.localesDir = path.join(__dirname, '../../config/locales');
+    this.defaultLanguage = 'EN';
+    this.bundles = null;
+
+    // GETCUSTOMER sometimes returns the full language name
+    this.languageAliases = {
+      ENGLISH: 'EN',
+      SWAHILI: 'SW',
+      KISWAHILI: 'SW'
+    };
+  }
+
+  loadBundles() {
+    const bundles = {};
+
+    try {
+      const files = fs.readdirSync(this.localesDir).filter(f => f.endsWith('.json'));
+      for (const file of files) {
+        const language = path.basename(file, '.json').toUpperCase();
+        try {
+          bundles[language] = JSON.parse(fs.readFileSync(path.join(this.localesDir, file), 'utf8'));
+        } catch (error) {
+          console.warn(`Could not parse locale ${file}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.warn(`Could not read locales directory ${this.localesDir}:`, error.message);
+    }
+
+    this.bundles = bundles;
+    console.log(`Loaded locales: ${Object.keys(bundles).join(', ') || 'none'}`);
+    return bundles;
+  }
+
+  getBundle(language) {
+    if (!this.bundles) {
+      this.loadBundles();
+    }
+    return this.bundles[language] || {};
+  }
+
+  getSupportedLanguages() {
+    if (!this.bundles) {
+      this.loadBundles();
+    }
+    return Object.keys(this.bundles);
+  }
+
+  normalizeLanguage(language) {
+    if (!language || typeof language !== 'string') return this.defaultLanguage;
+
+    const upper = language.trim().toUpperCase();
+    const code = this.languageAliases[upper] || upper;
+    return this.getSupportedLanguages().includes(code) ? code : this.defaultLanguage;
+  }
+
+  // A language chosen in this session wins over the one on the customer record
+  resolveLanguage(session) {
+    return this.normalizeLanguage(session?.language || session?.customerData?.language);
+  }
+
+  t(key, language, params = {}, fallback) {
+    const lang = this.normalizeLanguage(language);
+    const text = _.get(this.getBundle(lang), ['messages', key])
+      ?? _.get(this.getBundle(this.defaultLanguage), ['messages', key])
+      ?? fallback;
+
+    if (text === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+
+    return this.interpolate(text, params);
+  }
+
+  // Menu text falls back to the English in config/menus when a bundle has no entry
+  menuText(menuName, field, language, fallback) {
+    const lang = this.normalizeLanguage(language);
+    return _.get(this.getBundle(lang), ['menus', menuName, field])
+      ?? _.get(this.getBundle(this.defaultLanguage), ['menus', menuName, field])
+      ?? fallback;
+  }
+
+  optionText(menuName, index, language, fallback) {
+    const lang = this.normalizeLanguage(language);
+    return _.get(this.getBundle(lang), ['menus', menuName, 'options', index])
+      ?? _.get(this.getBundle(this.defaultLanguage), ['menus', menuName, 'options', index])
+      ?? fallback;
+  }
+
+  interpolate(text, params) {
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => {
+      return params[key] !== undefined && params[key] !== null ? String(params[key]) : match;
+    });
+  }
+}
+
+module.exports = new I18nService();
@@ -0,0 +1,104 @@
+// src/services/limits.service.js
+const moment = require('moment-timezone');
+const redisService = require('../config/redis');
+const menuService = require('./menu.service');
+const i18nService = require('./i18n.service');
+const formatters = require('../utils/formatters');
+
+class LimitsService {
+  constructor() {
+    this.prefix = process.env.REDIS_LIMITS_PREFIX || 'ussd:limits';
+    this.timezone = process.env.TIMEZONE || 'Africa/Nairobi';
+  }
+
+  // transactionLimits.<type> in business-rules.json
+  getLimits(type) {
+    return menuService.getBusinessRule(`transactionLimits.${type}`) || {};
+  }
+
+  // Counters roll over at midnight Nairobi time
+  getKeys(session, type) {
+    const customer = session.customerData?.customerid && session.customerData.customerid !== 'GUEST'
+      ? session.customerData.customerid
+      : session.msisdn;
+    const day = moment().tz(this.timezone).format('YYYYMMDD');
+    const base = `${this.prefix}:${customer}:${type}:${day}`;
+
+    return { amount: `${base}:amount`, count: `${base}:count` };
+  }
+
+  getSecondsUntilReset() {
+    const now = moment().tz(this.timezone);
+    return Math.ceil(now.clone().endOf('day').diff(now) / 1000) + 60;
+  }
+
+  async getUsage(session, type) {
+    const keys = this.getKeys(session, type);
+
+    try {
+      const [amount, count] = await Promise.all([
+        redisService.get(keys.amount),
+        redisService.get(keys.count)
+      ]);
+
+      return { spent: parseFloat(amount) || 0, count: parseInt(count, 10) || 0 };
+    } catch (error) {
+      console.error('Daily limit lookup error:', error.message);
+      return { spent: 0, count: 0 };
+    }
+  }
+
+  // Checked before the confirmation screen so customers never authorise a doomed request
+  async checkLimit(session, type, amount) {
+    const { dailyLimit, dailyCount } = this.getLimits(type);
+    const usage = await this.getUsage(session, type);
+
+    const result = {
+      type,
+      allowed: true,
+      spent: usage.spent,
+      count: usage.count,
+      dailyLimit,
+      dailyCount,
+      remaining: dailyLimit !== undefined ? Math.max(dailyLimit - usage.spent, 0) : null
+    };
+
+    if (dailyCount !== undefined && usage.count >= dailyCount) {
+      return { ...result, allowed: false, reason: 'count' };
+    }
+
+    if (dailyLimit !== undefined && usage.spent + Number(amount) > dailyLimit) {
+      return { ...result, allowed: false, reason: 'amount' };
+    }
+
+    return result;
+  }
+
+  // Only called once the backend has confirmed the transaction
+  async recordTransaction(session, type, amount) {
+    const keys = this.getKeys(session, type);
+    const ttl = this.getSecondsUntilReset();
+
+    try {
+      await redisService.incrByFloat(keys.amount, Number(amount));
+      await redisService.incr(keys.count);
+      await redisService.expire(keys.amount, ttl);
+      await redisService.expire(keys.count, ttl);
+    } catch (error) {
+      console.error('Daily limit update error:', error.message);
+    }
+  }
+
+  getLimitMessage(check, language) {
+    if (check.reason === 'count') {
+      return i18nService.t('limits.daily_count', language, { count: check.dailyCount });
+    }
+
+    return i18nService.t('limits.daily_amount', language, {
+      limit: formatters.formatAmount(check.dailyLimit),
+      remaining: formatters.formatAmount(check.remaining)
+    });
+  }
+}
+
+module.exports = new LimitsService();
@@ -131,6 +131,12 @@ class LoggingService {
     });
   }
 
+  // Security-relevant events, kept on one line for easy grepping
+  logAudit(event, details = {}) {
+    const message = `${this.getTimestamp()} - AUDIT [${event}]: ${JSON.stringify(details)}`;
+    this.logToConsoleAndFile(message);
+  }
+
   // Log session end separator
   logEnd() {
     this.logToConsoleAndFile(`${this.getTimestamp()} - SESSION TIME ELAPSED: 0 seconds`);
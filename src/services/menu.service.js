@@ -1,87 +1,37 @@
 // src/services/menu.service.js
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const configurationLoader = require('../config/configuration.loader');
+const i18nService = require('./i18n.service');
 const { loggingService } = require('./logging.service');
 const _ = require('lodash');
 
 class MenuService {
   constructor() {
     this.menus = new Map();
-    this.menuConfigPath = path.join(__dirname, '../../config/menus');
     this.apiEndpoints = {};
     this.businessRules = {};
-  }
-
-  async fileExists(filePath) {
-    try {
-      await fs.access(filePath);
-      return true;
-    } catch {
-      return false;
-    }
+    this.validationRules = {};
+    this.configVersion = { version: 0 };
+    this.subscribed = false;
   }
 
   async loadConfigurations() {
     try {
       console.log('Loading menu configurations...');
 
-      // Clear existing
-      this.menus.clear();
-      this.apiEndpoints = {};
-      this.businessRules = {};
-
-      // Load menus
-      try {
-        const menuFiles = await fs.readdir(this.menuConfigPath);
-        for (const file of menuFiles.filter(f => f.endsWith('.json'))) {
-          try {
-            const menuName = file.replace('.json', '');
-            const content = await fs.readFile(
-              path.join(this.menuConfigPath, file),
-              'utf8'
-            );
-
-            if (content.trim()) {
-              const menuConfig = JSON.parse(content);
-              this.menus.set(menuName, menuConfig);
-            }
-          } catch (error) {
-            console.warn(`Could not parse ${file}:`, error.message);
-          }
-        }
-      } catch (error) {
-        console.warn(`Could not read menu directory ${this.menuConfigPath}:`, error.message);
+      if (!this.subscribed) {
+        configurationLoader.on('menus', menus => this.applyMenus(menus));
+        configurationLoader.on('apiEndpoints', endpoints => this.applyApiEndpoints(endpoints));
+        configurationLoader.on('businessRules', rules => this.applyBusinessRules(rules));
+        configurationLoader.on('validationRules', rules => this.applyValidationRules(rules));
+        configurationLoader.on('error', ({ type, file, message }) => {
+          this.recordRejection(type, `${file}: ${message}`);
+        });
+        this.subscribed = true;
       }
 
-      console.log(`Loaded ${this.menus.size} menu configurations`);
-
-      // Load API endpoints
-      const apiConfigPath = path.join(__dirname, '../../config/api-endpoints.json');
-      if (await this.fileExists(apiConfigPath)) {
-        try {
-          const apiContent = await fs.readFile(apiConfigPath, 'utf8');
-          this.apiEndpoints = JSON.parse(apiContent);
-          console.log('API endpoints loaded');
-        } catch (error) {
-          console.warn('Failed to load API endpoints:', error.message);
-        }
-      } else {
-        console.warn('API endpoints file not found:', apiConfigPath);
-      }
-
-      // Load business rules
-      const rulesPath = path.join(__dirname, '../../config/business-rules.json');
-      if (await this.fileExists(rulesPath)) {
-        try {
-          const rulesContent = await fs.readFile(rulesPath, 'utf8');
-          this.businessRules = JSON.parse(rulesContent);
-          console.log('Business rules loaded');
-        } catch (error) {
-          console.warn('Failed to load business rules:', error.message);
-        }
-      } else {
-        console.warn('Business rules file not found:', rulesPath);
-      }
+      // Loads menus, API endpoints, business and validation rules, then keeps watching them
+      await configurationLoader.loadAll();
 
       // Initialize module registry
       const moduleRegistry = require('../modules/module.registry');
@@ -95,6 +45,166 @@ class MenuService {
     }
   }
 
+  applyMenus(menus) {
+    const menuLinter = require('../config/menu.linter');
+    const nextMenus = new Map();
+    const rejected = [];
+
+    for (const [menuName, menuConfig] of Object.entries(menus || {})) {
+      const problems = menuLinter.validateMenu(menuName, menuConfig);
+
+      if (problems.length === 0) {
+        nextMenus.set(menuName, menuConfig);
+        continue;
+      }
+
+      // Keep serving the last good version of an invalid menu
+      console.warn(`Rejected menu ${menuName}: ${problems.join('; ')}`);
+      rejected.push(menuName);
+      if (this.menus.has(menuName)) {
+        nextMenus.set(menuName, this.menus.get(menuName));
+      }
+    }
+
+    if (nextMenus.size === 0) {
+      this.recordRejection('menus', 'No valid menus found');
+      return false;
+    }
+
+    this.menus = nextMenus;
+    if (rejected.length > 0) {
+      this.recordRejection('menus', `Invalid menus kept at last good version: ${rejected.join(', ')}`);
+    }
+    console.log(`Loaded ${this.menus.size} menu configurations`);
+    this.bumpConfigVersion('menus');
+    return true;
+  }
+
+  applyApiEndpoints(endpoints) {
+    const invalid = this.findInvalidSections(endpoints);
+    if (invalid) {
+      this.recordRejection('apiEndpoints', invalid);
+      return false;
+    }
+
+    // apiService.call reads these per endpoint, so a malformed one would break every call to it
+    for (const [name, endpoint] of Object.entries(endpoints)) {
+      const badField = ['successStatus', 'requiredFields', 'invalidates']
+        .find(field => endpoint[field] !== undefined && !Array.isArray(endpoint[field]));
+      if (badField) {
+        this.recordRejection('apiEndpoints', `${name}.${badField} must be an array`);
+        return false;
+      }
+
+      if (endpoint.errorMapping !== undefined && !_.isPlainObject(endpoint.errorMapping)) {
+        this.recordRejection('apiEndpoints', `${name}.errorMapping must be an object`);
+        return false;
+      }
+
+      if (endpoint.cacheKey !== undefined && typeof endpoint.cacheKey !== 'string') {
+        this.recordRejection('apiEndpoints', `${name}.cacheKey must be a key template`);
+        return false;
+      }
+
+      if (endpoint.parseFunction !== undefined && typeof endpoint.parseFunction !== 'string') {
+        this.recordRejection('apiEndpoints', `${name}.parseFunction must be a parser name`);
+        return false;
+      }
+
+      const badNumber = ['timeout', 'retries', 'retryDelay', 'cacheTTL']
+        .find(field => endpoint[field] !== undefined && !(Number.isInteger(endpoint[field]) && endpoint[field] >= 0));
+      if (badNumber) {
+        this.recordRejection('apiEndpoints', `${name}.${badNumber} must be a non-negative integer`);
+        return false;
+      }
+    }
+
+    this.apiEndpoints = endpoints;
+    console.log('API endpoints loaded');
+    this.bumpConfigVersion('apiEndpoints');
+    return true;
+  }
+
+  applyBusinessRules(rules) {
+    const invalid = this.findInvalidSections(rules);
+    if (invalid) {
+      this.recordRejection('businessRules', invalid);
+      return false;
+    }
+
+    for (const [type, limits] of Object.entries(rules.transactionLimits || {})) {
+      const badField = ['minAmount', 'maxAmount', 'dailyLimit', 'dailyCount']
+        .find(field => limits[field] !== undefined && typeof limits[field] !== 'number');
+      if (badField) {
+        this.recordRejection('businessRules', `transactionLimits.${type}.${badField} must be a number`);
+        return false;
+      }
+    }
+
+    this.businessRules = rules;
+    console.log('Business rules loaded');
+    this.bumpConfigVersion('businessRules');
+    return true;
+  }
+
+  applyValidationRules(rules) {
+    const invalid = this.findInvalidSections(rules);
+    if (invalid) {
+      this.recordRejection('validationRules', invalid);
+      return false;
+    }
+
+    this.validationRules = rules;
+    console.log('Validation rules loaded');
+    this.bumpConfigVersion('validationRules');
+    return true;
+  }
+
+  findInvalidSections(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return 'Config must be a JSON object';
+    }
+
+    const badKey = Object.keys(config).find(key => !config[key] || typeof config[key] !== 'object');
+    return badKey ? `Section ${badKey} must be an object` : null;
+  }
+
+  bumpConfigVersion(source) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(JSON.stringify({
+        menus: Object.fromEntries(this.menus),
+        apiEndpoints: this.apiEndpoints,
+        businessRules: this.businessRules,
+        validationRules: this.validationRules
+      }))
+      .digest('hex')
+      .substring(0, 12);
+
+    if (hash === this.configVersion.hash) return;
+
+    this.configVersion = {
+      ...this.configVersion,
+      version: (this.configVersion.version || 0) + 1,
+      hash,
+      source,
+      loadedAt: new Date().toISOString(),
+      menuCount: this.menus.size
+    };
+  }
+
+  recordRejection(source, reason) {
+    console.warn(`Config reload rejected for ${source}: ${reason}`);
+    this.configVersion = {
+      ...this.configVersion,
+      lastRejected: { source, reason, at: new Date().toISOString() }
+    };
+  }
+
+  getConfigVersion() {
+    return { ...this.configVersion };
+  }
+
   async executeHandlerByName(handlerName, inputValue, session, context) {
     try {
       const moduleRegistry = require('../modules/module.registry');
@@ -126,13 +236,19 @@ class MenuService {
     const menuConfig = this.getMenu(menuName);
     if (!menuConfig) {
       console.error(`Menu ${menuName} not found`);
-      return this.getDefaultError(menuName);
+      return this.getDefaultError(menuName, context);
     }
 
     // For now, don't decrypt - just use the response directly
     let response = encryptedResponse;
     console.log(`Processing response: ${response} for menu: ${menuName}`);
 
+    // Page through long menus before navigation claims "0"
+    const pageResult = await this.handlePaging(menuName, response, context);
+    if (pageResult) {
+      return pageResult;
+    }
+
     // Handle navigation FIRST (before handler)
     const navResult = this.handleNavigation(response, menuConfig);
     if (navResult) {
@@ -165,7 +281,7 @@ class MenuService {
       const optionIndex = parseInt(response) - 1;
       console.log(`Option index selected: ${optionIndex} (response: ${response})`);
 
-      if (!isNaN(optionIndex) && optionIndex >= 0 && optionIndex < menuConfig.options.length) {
+      if (!isNaN(optionIndex) && this.isOptionOnCurrentPage(menuName, menuConfig, optionIndex, context)) {
         console.log(`Processing option ${optionIndex + 1}: ${menuConfig.options[optionIndex].text || 'unnamed'}`);
 
         // Use enhanced session for options too
@@ -185,30 +301,30 @@ class MenuService {
       }
     }
 
-    return this.getDefaultError(menuName);
+    return this.getDefaultError(menuName, context);
   }
 
   handleNavigation(response, menuConfig) {
     if (!response) return null;
 
-    // Check navigation object
-    if (menuConfig.navigation) {
+    // Check navigation object (string navigation is display text only)
+    if (menuConfig.navigation && typeof menuConfig.navigation === 'object') {
       if (menuConfig.navigation[response]) {
         const nextMenu = menuConfig.navigation[response];
         console.log(`Navigation match found: ${response} -> ${nextMenu}`);
-        return { nextMenu: nextMenu };
+        return this.navigationResult(nextMenu);
       }
 
       if (response === '0' && menuConfig.navigation.onBack) {
         const nextMenu = menuConfig.navigation.onBack;
         console.log(`Back navigation: 0 -> ${nextMenu}`);
-        return { nextMenu: nextMenu };
+        return this.navigationResult(nextMenu);
       }
 
       if (response === '00' && menuConfig.navigation.onHome) {
         const nextMenu = menuConfig.navigation.onHome;
         console.log(`Home navigation: 00 -> ${nextMenu}`);
-        return { nextMenu: nextMenu };
+        return this.navigationResult(nextMenu);
       }
 
       if (response === '000' && menuConfig.navigation.onExit) {
@@ -227,19 +343,30 @@ class MenuService {
     if (navMap[response]) {
       const nextMenu = navMap[response];
       console.log(`Legacy navigation: ${response} -> ${nextMenu}`);
-      return { nextMenu: nextMenu };
+      return this.navigationResult(nextMenu);
+    }
+
+    // Menus without an explicit back target return to the previous screen
+    if (response === '0') {
+      console.log('Back navigation: 0 -> previous screen');
+      return { goBack: true };
     }
 
     return null;
   }
 
+  navigationResult(target) {
+    // "back" pops session.menuHistory instead of naming a fixed menu
+    return target === 'back' ? { goBack: true } : { nextMenu: target };
+  }
+
   async processOption(selectedOption, menuConfig, session, context) {
     console.log(`Processing option: ${selectedOption.text || 'unnamed'}`);
 
     if (selectedOption.condition && !this.evaluateCondition(selectedOption.condition, context)) {
       return {
         action: 'con',
-        message: 'This option is currently unavailable.',
+        message: i18nService.t('common.option_unavailable', context.language),
         retryMenu: menuConfig.name
       };
     }
@@ -283,73 +410,7 @@ class MenuService {
 
     // Default error
     console.error(`Option has no nextMenu or handler: ${JSON.stringify(selectedOption)}`);
-    return this.getDefaultError(menuConfig.name);
-  }
-
-  async processInput(response, inputConfig, menuConfig, session, context) {
-    // Validate
-    if (inputConfig.validation) {
-      const isValid = await this.validateInput(response, inputConfig.validation, context);
-      if (!isValid) {
-        return {
-          action: 'con',
-          message: inputConfig.errorMessage || 'Invalid input. Please try again.',
-          retryMenu: menuConfig.name
-        };
-      }
-    }
-
-    // Transform
-    let processedValue = response;
-    if (inputConfig.transform) {
-      processedValue = this.transformInput(response, inputConfig.transform);
-    }
-
-    // Store
-    if (inputConfig.storeKey) {
-      await session.store(inputConfig.storeKey, processedValue);
-    }
-
-    // Execute handler
-    if (inputConfig.handler) {
-      const result = await this.executeHandlerByName(
-        inputConfig.handler,
-        processedValue,
-        session,
-        context
-      );
-      return result || this.getDefaultError(menuConfig.name);
-    }
-
-    // Go to next menu
-    if (inputConfig.nextMenu) {
-      return { action: 'con', nextMenu: inputConfig.nextMenu };
-    }
-
-    return this.getDefaultError(menuConfig.name);
-  }
-
-  transformInput(input, transformRule) {
-    if (!input) return input;
-
-    switch (transformRule) {
-      case 'msisdn_to_254':
-        if (input.startsWith('0') && input.length === 10) {
-          return `254${input.substring(1)}`;
-        }
-        return input;
-      case 'msisdn_to_0':
-        if (input.startsWith('254') && input.length === 12) {
-          return `0${input.substring(3)}`;
-        }
-        return input;
-      case 'uppercase':
-        return input.toUpperCase();
-      case 'lowercase':
-        return input.toLowerCase();
-      default:
-        return input;
-    }
+    return this.getDefaultError(menuConfig.name, context);
   }
 
   async executeAction(actionConfig, session, context) {
@@ -416,7 +477,7 @@ class MenuService {
       return {
         name: 'end',
         action: 'end',
-        message: 'Thank you for using SidianVIBE. Goodbye!',
+        message: i18nService.t('common.goodbye', context.language),
         metadata: {}
       };
     }
@@ -427,7 +488,7 @@ class MenuService {
       return {
         name: menuName,
         action: 'con',
-        message: 'Menu not available.',
+        message: i18nService.t('common.menu_unavailable', context.language),
         metadata: {}
       };
     }
@@ -459,38 +520,171 @@ class MenuService {
       menuConfig.handlerExecuted = true;
     }
 
-    // Use the menu's message template
-    let message = menuConfig.message || '';
-    message = this.replaceTemplateVariables(message, context);
+    // Use the menu's message template, split into pages when too long
+    const message = await this.renderPage(menuName, this.buildOptionScreen(menuName, menuConfig, context), context);
 
-    // Add numbered options if not already present
-    if (menuConfig.options?.length > 0) {
-      const hasNumberedOptions = /\n\d\.\s/.test(message);
-      if (!hasNumberedOptions) {
-        menuConfig.options.forEach((option, index) => {
-          if (option.condition && !this.evaluateCondition(option.condition, context)) {
-            return;
-          }
-          const optionText = this.replaceTemplateVariables(option.text, context);
-          message += `\n${index + 1}. ${optionText}`;
-        });
+    return {
+      name: menuName,
+      action: menuConfig.action || 'con',
+      message: message.trim(),
+      metadata: menuConfig.metadata || {}
+    };
+  }
+
+  getOptionItems(menuName, menuConfig, context) {
+    const items = [];
+
+    (menuConfig.options || []).forEach((option, index) => {
+      if (option.condition && !this.evaluateCondition(option.condition, context)) {
+        return;
+      }
+      const text = i18nService.optionText(menuName, index, context.language, option.text);
+      items.push({ index, text: this.replaceTemplateVariables(text, context) });
+    });
+
+    return items;
+  }
+
+  getPaginationRules() {
+    return {
+      maxLength: this.getBusinessRule('ussd.maxScreenLength') || 182,
+      moreKey: '98',
+      moreText: 'More',
+      backKey: '0',
+      backText: 'Back',
+      ...this.getBusinessRule('ussd.pagination')
+    };
+  }
+
+  // Splits numbered items into pages that fit the gateway's screen limit.
+  // Items keep their original numbers so selections map straight back to them.
+  paginate({ header = '', items = [], footer = '', language }) {
+    const rules = this.getPaginationRules();
+    const moreText = i18nService.t('pagination.more', language, {}, rules.moreText);
+    const backText = i18nService.t('pagination.back', language, {}, rules.backText);
+    const lineFor = item => `${item.index + 1}. ${item.text}`;
+
+    const build = (pageItems, pageIndex, isLast) => {
+      const parts = [header, ...pageItems.map(lineFor)];
+      if (!isLast) parts.push(`${rules.moreKey}. ${moreText}`);
+      if (pageIndex > 0) parts.push(`${rules.backKey}. ${backText}`);
+      if (pageIndex === 0 && footer) parts.push(footer);
+      return parts.filter(part => part).join('\n');
+    };
+
+    if (build(items, 0, true).length <= rules.maxLength) {
+      return [{ items, text: build(items, 0, true) }];
+    }
+
+    // Size every page as if it had both controls so "More" never overflows
+    const groups = [];
+    let current = [];
+    for (const item of items) {
+      if (current.length > 0 && build([...current, item], groups.length, false).length > rules.maxLength) {
+        groups.push(current);
+        current = [];
+      }
+      current.push(item);
+    }
+    groups.push(current);
+
+    return groups.map((pageItems, pageIndex) => ({
+      items: pageItems,
+      text: build(pageItems, pageIndex, pageIndex === groups.length - 1)
+    }));
+  }
+
+  async renderPage(menuName, screen, context) {
+    const pages = this.paginate(screen);
+
+    if (pages.length <= 1) {
+      if (this.getMenuPage(menuName, context)) {
+        await this.setMenuPage(menuName, null, context);
       }
+      return pages[0].text;
+    }
+
+    const current = this.getMenuPage(menuName, context);
+    const page = Math.min(current?.page || 0, pages.length - 1);
+    await this.setMenuPage(menuName, { menu: menuName, page, pageCount: pages.length }, context);
+
+    return pages[page].text;
+  }
+
+  getMenuPage(menuName, context) {
+    const menuPage = context.session?.menuPage;
+    return menuPage && menuPage.menu === menuName ? menuPage : null;
+  }
+
+  async setMenuPage(menuName, menuPage, context) {
+    const session = context.session;
+    if (!session) return;
+
+    session.menuPage = menuPage;
+    if (session.updateSession) {
+      await session.updateSession({ menuPage });
+    }
+  }
+
+  async handlePaging(menuName, response, context) {
+    const current = this.getMenuPage(menuName, context);
+    if (!current || current.pageCount <= 1) return null;
+
+    const rules = this.getPaginationRules();
+    let page = null;
+
+    if (response === rules.moreKey && current.page < current.pageCount - 1) {
+      page = current.page + 1;
+    } else if (response === rules.backKey && current.page > 0) {
+      page = current.page - 1;
+    }
+
+    if (page === null) return null;
+
+    console.log(`Paging ${menuName}: page ${current.page + 1} -> ${page + 1}`);
+    await this.setMenuPage(menuName, { ...current, page }, context);
+
+    const rendered = await this.renderMenu(menuName, context);
+    return { action: rendered.action, message: rendered.message, name: menuName };
+  }
+
+  isOptionOnCurrentPage(menuName, menuConfig, optionIndex, context) {
+    if (optionIndex < 0 || optionIndex >= (menuConfig.options || []).length) {
+      return false;
     }
 
+    const current = this.getMenuPage(menuName, context);
+    if (!current) return true;
+
+    const pages = this.paginate(this.buildOptionScreen(menuName, menuConfig, context));
+    const pageItems = pages[Math.min(current.page, pages.length - 1)].items;
+    return pageItems.some(item => item.index === optionIndex);
+  }
+
+  buildOptionScreen(menuName, menuConfig, context) {
+    const message = i18nService.menuText(menuName, 'message', context.language, menuConfig.message);
+    const header = this.replaceTemplateVariables(message || '', context);
+
+    // Add numbered options if not already present
+    const hasNumberedOptions = /\n\d\.\s/.test(header);
+    const items = hasNumberedOptions ? [] : this.getOptionItems(menuName, menuConfig, context);
+
     // Add navigation commands
-    if (menuConfig.navigation?.text) {
-      const navText = this.replaceTemplateVariables(menuConfig.navigation.text, context);
-      if (navText && !message.includes(navText.trim())) {
-        message += `\n${navText}`;
+    const navigationText = i18nService.menuText(
+      menuName,
+      'navigation',
+      context.language,
+      typeof menuConfig.navigation === 'string' ? menuConfig.navigation : menuConfig.navigation?.text
+    );
+    let footer = '';
+    if (navigationText) {
+      const navText = this.replaceTemplateVariables(navigationText, context);
+      if (navText && !header.includes(navText.trim())) {
+        footer = navText;
       }
     }
 
-    return {
-      name: menuName,
-      action: menuConfig.action || 'con',
-      message: message.trim(),
-      metadata: menuConfig.metadata || {}
-    };
+    return { header, items, footer, language: context.language };
   }
 
   async buildMenuContext(session, additionalContext = {}) {
@@ -499,19 +693,28 @@ class MenuService {
       session: session,
       data: {},
       transaction: session.transactionData || {},
+      language: i18nService.resolveLanguage(session),
       ...additionalContext
     };
   }
 
-  getDefaultError(menuName) {
+  getDefaultError(menuName, context = {}) {
     return {
       action: 'con',
       error: 'INVALID_INPUT',
-      errorMessage: 'Invalid selection. Please try again.',
+      errorMessage: i18nService.t('common.invalid_selection', context.language),
       retryMenu: menuName
     };
   }
 
+  requiresAuth(menuName) {
+    return this.getMenu(menuName)?.metadata?.requiresAuth === true;
+  }
+
+  isAccessAllowed(menuName, session) {
+    return !this.requiresAuth(menuName) || session?.authStatus === 'authenticated';
+  }
+
   getMenu(menuName) {
     return this.menus.get(menuName);
   }
@@ -524,33 +727,8 @@ class MenuService {
     return _.get(this.businessRules, rulePath);
   }
 
-  async validateInput(input, validationRules, context) {
-    if (!input || input.trim().length === 0) return false;
-
-    const validators = require('../utils/validators');
-
-    switch (validationRules?.type) {
-      case 'msisdn':
-        return validators.validateMsisdn(input, validationRules.network);
-      case 'amount':
-        return validators.validateAmount(input, validationRules);
-      case 'date':
-        return validators.validateDate(input, validationRules.format);
-      case 'pin':
-        return validators.validatePin(input);
-      case 'option':
-        return validationRules.options?.includes(input) || false;
-      case 'pin_or_option':
-        return input === '1' || validators.validatePin(input);
-      case 'custom':
-        if (validationRules.handler) {
-          const result = await this.executeHandlerByName(validationRules.handler, input, context);
-          return result && !result.error;
-        }
-        return false;
-      default:
-        return true;
-    }
+  getValidationRule(rulePath) {
+    return _.get(this.validationRules, rulePath);
   }
 }
 
@@ -0,0 +1,72 @@
+// src/services/otp.service.js
+const crypto = require('crypto');
+const redisService = require('../config/redis');
+
+class OtpService {
+  constructor() {
+    this.prefix = process.env.REDIS_OTP_PREFIX || 'ussd:otp';
+  }
+
+  getKey(msisdn, purpose) {
+    return `${this.prefix}:${purpose}:${msisdn}`;
+  }
+
+  hash(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  // Only the hash is kept in Redis; a new code replaces any previous one
+  async generate(msisdn, purpose, { length = 6, ttl = 300 } = {}) {
+    const code = String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+
+    await redisService.set(
+      this.getKey(msisdn, purpose),
+      JSON.stringify({ hash: this.hash(code), attempts: 0 }),
+      ttl
+    );
+
+    return code;
+  }
+
+  async verify(msisdn, purpose, code, maxAttempts = 3) {
+    const key = this.getKey(msisdn, purpose);
+
+    try {
+      const data = await redisService.get(key);
+      if (!data) {
+        return { success: false, expired: true };
+      }
+
+      const otp = JSON.parse(data);
+      if (otp.hash === this.hash(code)) {
+        await redisService.del(key);
+        return { success: true };
+      }
+
+      const attempts = otp.attempts + 1;
+      if (attempts >= maxAttempts) {
+        await redisService.del(key);
+        return { success: false, exhausted: true, attemptsLeft: 0 };
+      }
+
+      // Keep the original expiry rather than extending it on every wrong guess
+      const ttl = await redisService.ttl(key);
+      await redisService.set(key, JSON.stringify({ ...otp, attempts }), ttl > 0 ? ttl : 1);
+
+      return { success: false, attemptsLeft: maxAttempts - attempts };
+    } catch (error) {
+      console.error('OTP verification error:', error.message);
+      return { success: false, expired: true };
+    }
+  }
+
+  async clear(msisdn, purpose) {
+    try {
+      await redisService.del(this.getKey(msisdn, purpose));
+    } catch (error) {
+      console.error('OTP clear error:', error.message);
+    }
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,241 @@
+// src/services/pin-security.service.js
+const redisService = require('../config/redis');
+const apiService = require('./api.service');
+const menuService = require('./menu.service');
+const i18nService = require('./i18n.service');
+const loggingService = require('./logging.service');
+const validators = require('../utils/validators');
+
+class PinSecurityService {
+  constructor() {
+    this.prefix = process.env.REDIS_PIN_PREFIX || 'ussd:pin';
+    this.defaults = { maxAttempts: 3, lockoutDuration: 300 };
+  }
+
+  // pin.security in validation-rules.json
+  getSettings() {
+    const security = menuService.getValidationRule('pin.security') || {};
+    return {
+      maxAttempts: security.maxAttempts || this.defaults.maxAttempts,
+      lockoutDuration: security.lockoutDuration || this.defaults.lockoutDuration,
+      allowSequential: security.allowSequential === true,
+      allowRepeating: security.allowRepeating === true
+    };
+  }
+
+  // Keyed by MSISDN so the counter survives new sessions
+  getAttemptsKey(msisdn) {
+    return `${this.prefix}:attempts:${msisdn}`;
+  }
+
+  getLockoutKey(msisdn) {
+    return `${this.prefix}:lockout:${msisdn}`;
+  }
+
+  async getLockout(msisdn) {
+    try {
+      const data = await redisService.get(this.getLockoutKey(msisdn));
+      if (!data) {
+        return { locked: false, remainingSeconds: 0 };
+      }
+
+      const ttl = await redisService.ttl(this.getLockoutKey(msisdn));
+      return {
+        ...JSON.parse(data),
+        locked: true,
+        remainingSeconds: ttl > 0 ? ttl : this.getSettings().lockoutDuration
+      };
+    } catch (error) {
+      console.error('PIN lockout check error:', error.message);
+      return { locked: false, remainingSeconds: 0 };
+    }
+  }
+
+  async recordFailure(session, source) {
+    const { maxAttempts, lockoutDuration } = this.getSettings();
+    const msisdn = session.msisdn;
+    const customerId = session.customerData?.customerid;
+    const attemptsKey = this.getAttemptsKey(msisdn);
+
+    try {
+      const attempts = await redisService.incr(attemptsKey);
+      await redisService.expire(attemptsKey, lockoutDuration);
+
+      if (attempts < maxAttempts) {
+        loggingService.logAudit('PIN_FAILURE', { msisdn, customerId, source, attempts, maxAttempts });
+        return { locked: false, attemptsLeft: maxAttempts - attempts };
+      }
+
+      const lockout = { customerId, source, lockedAt: new Date().toISOString() };
+      await redisService.set(this.getLockoutKey(msisdn), JSON.stringify(lockout), lockoutDuration);
+      await redisService.del(attemptsKey);
+
+      loggingService.logAudit('PIN_LOCKOUT', { msisdn, customerId, source, attempts, lockoutDuration });
+      return { ...lockout, locked: true, attemptsLeft: 0, remainingSeconds: lockoutDuration };
+    } catch (error) {
+      console.error('PIN failure tracking error:', error.message);
+      return { locked: false, attemptsLeft: null };
+    }
+  }
+
+  async recordSuccess(msisdn) {
+    try {
+      await redisService.del(this.getAttemptsKey(msisdn));
+    } catch (error) {
+      console.error('PIN attempt reset error:', error.message);
+    }
+  }
+
+  async getStatus(msisdn) {
+    const { maxAttempts, lockoutDuration } = this.getSettings();
+    const attempts = parseInt(await redisService.get(this.getAttemptsKey(msisdn)), 10) || 0;
+    const lockout = await this.getLockout(msisdn);
+
+    return { msisdn, attempts, maxAttempts, lockoutDuration, ...lockout };
+  }
+
+  async unlock(msisdn, unlockedBy) {
+    const status = await this.getStatus(msisdn);
+
+    await redisService.del(this.getLockoutKey(msisdn));
+    await redisService.del(this.getAttemptsKey(msisdn));
+
+    loggingService.logAudit('PIN_UNLOCK', {
+      msisdn,
+      customerId: status.customerId,
+      unlockedBy,
+      wasLocked: status.locked,
+      attempts: status.attempts
+    });
+
+    return { msisdn, wasLocked: status.locked, locked: false, attempts: 0 };
+  }
+
+  // pin.reset in validation-rules.json
+  getResetSettings() {
+    return {
+      maxAttempts: 3,
+      attemptWindow: 86400,
+      otpLength: 6,
+      otpTtl: 300,
+      otpMaxAttempts: 3,
+      ...menuService.getValidationRule('pin.reset')
+    };
+  }
+
+  getResetKey(msisdn) {
+    return `${this.prefix}:reset:${msisdn}`;
+  }
+
+  // Failed identity checks and burnt OTPs count towards one limit per window
+  async getResetAttempts(msisdn) {
+    try {
+      return parseInt(await redisService.get(this.getResetKey(msisdn)), 10) || 0;
+    } catch (error) {
+      console.error('PIN reset attempt lookup error:', error.message);
+      return 0;
+    }
+  }
+
+  async isResetBlocked(msisdn) {
+    return (await this.getResetAttempts(msisdn)) >= this.getResetSettings().maxAttempts;
+  }
+
+  async recordResetFailure(session, reason) {
+    const { maxAttempts, attemptWindow } = this.getResetSettings();
+    const key = this.getResetKey(session.msisdn);
+
+    try {
+      const attempts = await redisService.incr(key);
+      if (attempts === 1) {
+        await redisService.expire(key, attemptWindow);
+      }
+
+      const blocked = attempts >= maxAttempts;
+      loggingService.logAudit(blocked ? 'PIN_RESET_BLOCKED' : 'PIN_RESET_FAILURE', {
+        msisdn: session.msisdn,
+        customerId: session.customerData?.customerid,
+        reason,
+        attempts
+      });
+
+      return { blocked, attemptsLeft: Math.max(maxAttempts - attempts, 0) };
+    } catch (error) {
+      console.error('PIN reset attempt update error:', error.message);
+      return { blocked: false, attemptsLeft: 0 };
+    }
+  }
+
+  async clearResetAttempts(msisdn) {
+    try {
+      await redisService.del(this.getResetKey(msisdn));
+    } catch (error) {
+      console.error('PIN reset attempt clear error:', error.message);
+    }
+  }
+
+  // Returns an error message for a PIN the customer may not choose, or null
+  validateNewPin(newPin, currentPin, language) {
+    const { allowSequential, allowRepeating } = this.getSettings();
+
+    if (!validators.validatePin(newPin)) {
+      return i18nService.t('pin.new_format', language);
+    }
+    if (!allowSequential && validators.isSequentialPin(newPin)) {
+      return i18nService.t('pin.sequential', language);
+    }
+    if (!allowRepeating && validators.isRepeatingPin(newPin)) {
+      return i18nService.t('pin.repeating', language);
+    }
+    if (currentPin && newPin === currentPin) {
+      return i18nService.t('pin.reused', language);
+    }
+
+    return null;
+  }
+
+  // Transaction PINs are checked with LOGIN and count towards the same lockout
+  async verifyPin(session, pin, source, language) {
+    const lockout = await this.getLockout(session.msisdn);
+    if (lockout.locked) {
+      return { success: false, locked: true, message: this.getLockoutMessage(lockout, language) };
+    }
+
+    try {
+      const loginResult = await apiService.login(session.customerData, session.msisdn, session, pin);
+
+      if (loginResult.success) {
+        await this.recordSuccess(session.msisdn);
+        return { success: true };
+      }
+
+      const failure = await this.recordFailure(session, source);
+      if (failure.locked) {
+        return { success: false, locked: true, message: this.getLockoutMessage(failure, language) };
+      }
+
+      const error = loginResult.error || i18nService.t('pin.invalid', language);
+      return { success: false, locked: false, message: error + this.getAttemptsLeftMessage(failure, language) };
+    } catch (error) {
+      console.error('PIN verification error:', error.message);
+      return { success: false, locked: false, message: i18nService.t('pin.verify_failed', language) };
+    }
+  }
+
+  getLockoutMessage(lockout, language) {
+    const seconds = lockout.remainingSeconds || this.getSettings().lockoutDuration;
+    const wait = seconds < 60
+      ? i18nService.t('pin.wait_seconds', language, { seconds })
+      : i18nService.t('pin.wait_minutes', language, { minutes: Math.ceil(seconds / 60) });
+
+    return i18nService.t('pin.locked', language, { wait });
+  }
+
+  // Appended to invalid PIN messages while attempts remain
+  getAttemptsLeftMessage(failure, language) {
+    if (!failure.attemptsLeft) return '';
+    return `\n${i18nService.t('pin.attempts_left', language, { count: failure.attemptsLeft })}`;
+  }
+}
+
+module.exports = new PinSecurityService();
@@ -0,0 +1,94 @@
+// src/services/response-parser.service.js
+const _ = require('lodash');
+
+// Parsers turn the KEY:VALUE fields of an ELMA response into a typed object.
+// api-endpoints.json picks one per endpoint with parseFunction; register() adds more.
+class ResponseParserService {
+  constructor() {
+    this.parsers = new Map();
+
+    this.register('parseCustomerResponse', data => ({
+      customerid: data.CUSTOMERID || 'GUEST',
+      firstname: data.FIRSTNAME || 'Customer',
+      lastname: data.LASTNAME || '',
+      accounts: data.BANKS ? data.BANKS.split(',').map(account => account.trim()).filter(Boolean) : [],
+      language: data.LANGUAGE || 'EN'
+    }));
+
+    // DATA holds "LABEL|VALUE|LABEL|VALUE..." pairs, or a plain message
+    this.register('parseBalanceResponse', data => {
+      const message = data.MESSAGE || data.DATA || '';
+      if (!message.includes('|')) {
+        return { balances: [], message };
+      }
+
+      const balances = _.chunk(message.split('|'), 2)
+        .filter(([label, value]) => label && value)
+        .map(([label, value]) => ({ label: label.trim(), value: value.trim() }));
+
+      return { balances, message };
+    });
+
+    // DATA holds "DATE|DESCRIPTION|AMOUNT|..." records, optionally separated by "~"
+    this.register('parseStatementResponse', (data, endpoint) => {
+      const raw = data.DATA || data.MESSAGE || '';
+      if (!raw || !raw.includes('|')) {
+        return { transactions: [] };
+      }
+
+      const fields = endpoint.statementFields || ['date', 'description', 'amount'];
+      const separator = endpoint.recordSeparator || '~';
+
+      const records = raw.includes(separator)
+        ? raw.split(separator).map(record => record.split('|'))
+        : _.chunk(raw.split('|'), fields.length);
+
+      const transactions = records
+        .filter(values => values.some(value => value && value.trim()))
+        .map(values => fields.reduce((transaction, field, index) => {
+          transaction[field] = (values[index] || '').trim();
+          return transaction;
+        }, {}));
+
+      return { transactions };
+    });
+
+    // Payments and requests: the reference plus any token (e.g. prepaid electricity)
+    this.register('parseReceiptResponse', data => ({
+      reference: data.REFERENCE || data.TRXREF || data.DATA || 'N/A',
+      token: data.TOKEN || null
+    }));
+  }
+
+  register(name, parser) {
+    if (typeof parser !== 'function') {
+      console.warn(`Response parser ${name} is not a function`);
+      return;
+    }
+    this.parsers.set(name, parser);
+  }
+
+  has(name) {
+    return this.parsers.has(name);
+  }
+
+  // Returns null when no parser is configured or it fails, so callers fall back to raw fields
+  parse(name, data, endpoint = {}) {
+    if (!name) return null;
+
+    const parser = this.parsers.get(name);
+    if (!parser) {
+      console.warn(`Response parser ${name} is not registered`);
+      return null;
+    }
+
+    try {
+      return parser(data || {}, endpoint);
+    } catch (error) {
+      console.error(`Response parser ${name} failed:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ResponseParserService();
@@ -0,0 +1,50 @@
+// src/services/service-request.service.js
+const redisService = require('../config/redis');
+const menuService = require('./menu.service');
+
+class ServiceRequestService {
+  constructor() {
+    this.prefix = process.env.REDIS_SERVICE_REQUEST_PREFIX || 'ussd:service_requests';
+  }
+
+  // serviceRequests.history in business-rules.json
+  getSettings() {
+    return {
+      size: 5,
+      ttl: 7776000,
+      ...menuService.getBusinessRule('serviceRequests.history')
+    };
+  }
+
+  getKey(session) {
+    const customer = session.customerData?.customerid && session.customerData.customerid !== 'GUEST'
+      ? session.customerData.customerid
+      : session.msisdn;
+    return `${this.prefix}:${customer}`;
+  }
+
+  // Newest first, so the tracking screen can offer recent references as a pick-list
+  async getRecent(session) {
+    try {
+      const data = await redisService.get(this.getKey(session));
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Service request history lookup error:', error.message);
+      return [];
+    }
+  }
+
+  async saveReference(session, request) {
+    const { size, ttl } = this.getSettings();
+
+    try {
+      const recent = await this.getRecent(session);
+      const updated = [request, ...recent.filter(item => item.reference !== request.reference)].slice(0, size);
+      await redisService.set(this.getKey(session), JSON.stringify(updated), ttl);
+    } catch (error) {
+      console.error('Service request history update error:', error.message);
+    }
+  }
+}
+
+module.exports = new ServiceRequestService();
@@ -61,7 +61,7 @@ class SessionService {
         customerData: null,
         authStatus: 'pending',
         transactionData: {},
-        menuHistory: ['home'],
+        menuHistory: [],
         flowState: {},
         sessionStart: now.format('YYYY-MM-DD HH:mm:ss'),
         lastActivity: now.format('YYYY-MM-DD HH:mm:ss'),
@@ -0,0 +1,74 @@
+// src/services/sms.service.js
+const axios = require('axios');
+const formatters = require('../utils/formatters');
+
+// Senders are plain async functions (msisdn, message) => { success, reference }.
+// SMS_PROVIDER picks one; register() lets deployments plug in their own gateway.
+// With no provider set nothing is sent: one-time codes must never fall back to the log.
+class SmsService {
+  constructor() {
+    this.senders = new Map();
+
+    // Development only: prints the message, code included, instead of sending it
+    this.register('log', async (msisdn, message) => {
+      console.log(`[SMS] to ${msisdn}: ${message}`);
+      return { success: true, reference: 'LOG' };
+    });
+
+    this.register('http', async (msisdn, message) => {
+      const response = await axios.post(process.env.SMS_API_URL, {
+        to: msisdn,
+        from: process.env.SMS_SENDER_ID || 'SIDIAN',
+        message
+      }, {
+        timeout: parseInt(process.env.SMS_TIMEOUT) || 10000,
+        headers: process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {}
+      });
+
+      return { success: response.status >= 200 && response.status < 300, reference: response.data?.id };
+    });
+  }
+
+  register(name, sender) {
+    if (typeof sender !== 'function') {
+      console.warn(`SMS sender ${name} is not a function`);
+      return;
+    }
+    this.senders.set(name, sender);
+  }
+
+  getProvider() {
+    return process.env.SMS_PROVIDER || null;
+  }
+
+  async send(msisdn, message) {
+    const provider = this.getProvider();
+
+    if (!provider) {
+      console.error('SMS_PROVIDER is not set, message not sent');
+      return { success: false, provider, unavailable: true };
+    }
+
+    if (provider === 'log' && process.env.NODE_ENV === 'production') {
+      console.error('SMS provider log is not allowed in production, message not sent');
+      return { success: false, provider, unavailable: true };
+    }
+
+    const sender = this.senders.get(provider);
+
+    if (!sender) {
+      console.error(`SMS provider ${provider} is not registered`);
+      return { success: false, provider };
+    }
+
+    try {
+      const result = await sender(formatters.normalizeMsisdn(msisdn), message);
+      return { ...result, provider };
+    } catch (error) {
+      console.error(`SMS send error (${provider}):`, error.message);
+      return { success: false, provider };
+    }
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,38 @@
+// src/utils/formatters.js
+class Formatters {
+  formatAmount(amount) {
+    const numericAmount = Number(amount) || 0;
+    return numericAmount.toLocaleString('en-KE', {
+      minimumFractionDigits: Number.isInteger(numericAmount) ? 0 : 2,
+      maximumFractionDigits: 2
+    });
+  }
+
+  // 0712345678, 712345678 and +254712345678 all become 254712345678
+  normalizeMsisdn(msisdn) {
+    const digits = String(msisdn || '').replace(/\D/g, '');
+    if (digits.startsWith('0') && digits.length === 10) return `254${digits.substring(1)}`;
+    if (digits.length === 9) return `254${digits}`;
+    return digits;
+  }
+
+  // 254712345678 -> 0712345678
+  localMsisdn(msisdn) {
+    const digits = this.normalizeMsisdn(msisdn);
+    return digits.startsWith('254') ? `0${digits.substring(3)}` : digits;
+  }
+
+  formatAccountNumber(account) {
+    if (!account) return '';
+    return account.toString().replace(/(\d{4})(?=\d)/g, '$1 ');
+  }
+
+  // Shows only the last four digits, e.g. on confirmation screens
+  maskAccountNumber(account) {
+    if (!account) return '';
+    const value = account.toString();
+    return value.length > 4 ? `****${value.slice(-4)}` : value;
+  }
+}
+
+module.exports = new Formatters();
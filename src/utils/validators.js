@@ -14,6 +14,23 @@ class Validators {
     return true;
   }
 
+  // Longest matching prefix wins, e.g. { safaricom: ["25470"], airtel: ["25473"] }
+  detectNetwork(msisdn, prefixes = {}) {
+    let match = null;
+    let matchLength = 0;
+
+    for (const [network, networkPrefixes] of Object.entries(prefixes)) {
+      for (const prefix of networkPrefixes || []) {
+        if (msisdn && msisdn.startsWith(prefix) && prefix.length > matchLength) {
+          match = network;
+          matchLength = prefix.length;
+        }
+      }
+    }
+
+    return match;
+  }
+
   validateAmount(amount, rules = {}) {
     if (!amount || typeof amount !== 'string') return false;
     
@@ -35,6 +52,22 @@ class Validators {
     return true;
   }
 
+  validateNumeric(value, rules = {}) {
+    if (!value || typeof value !== 'string' || !/^\d+$/.test(value)) return false;
+
+    const numericValue = parseInt(value, 10);
+
+    if (rules.min !== undefined && numericValue < Number(rules.min)) {
+      return false;
+    }
+
+    if (rules.max !== undefined && numericValue > Number(rules.max)) {
+      return false;
+    }
+
+    return true;
+  }
+
   validateDate(dateString, format = 'DDMMYYYY') {
     if (!dateString || typeof dateString !== 'string') return false;
     
@@ -63,11 +96,13 @@ class Validators {
     }
   }
 
-  validatePin(pin) {
+  validatePin(pin, rules = {}) {
     if (!pin || typeof pin !== 'string') return false;
     
-    // Check length (4-6 digits)
-    if (pin.length < 4 || pin.length > 6) {
+    // Check length (4-6 digits by default)
+    const minLength = rules.minLength || 4;
+    const maxLength = rules.maxLength || 6;
+    if (pin.length < minLength || pin.length > maxLength) {
       return false;
     }
     
@@ -78,6 +113,42 @@ class Validators {
     
     return true;
   }
+
+  // 1234, 4321, 012345
+  isSequentialPin(pin) {
+    if (!pin || pin.length < 2) return false;
+
+    const step = pin.charCodeAt(1) - pin.charCodeAt(0);
+    if (Math.abs(step) !== 1) return false;
+
+    for (let i = 2; i < pin.length; i++) {
+      if (pin.charCodeAt(i) - pin.charCodeAt(i - 1) !== step) return false;
+    }
+
+    return true;
+  }
+
+  // 1111, 000000
+  isRepeatingPin(pin) {
+    return Boolean(pin) && pin.length > 1 && /^(\d)\1+$/.test(pin);
+  }
+
+  // Phones without "@" on the keypad can use "*". The address is sent inside a
+  // KEY:VALUE: request, so anything outside a plain address charset (":" included)
+  // is rejected. Returns the normalized address, or null when invalid.
+  normalizeEmail(input, pattern) {
+    if (!input || typeof input !== 'string') return null;
+
+    const email = input.trim().replace(/\*/g, '@').toLowerCase();
+    if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(email)) {
+      return null;
+    }
+    if (pattern && !new RegExp(pattern).test(email)) {
+      return null;
+    }
+
+    return email;
+  }
 }
 
 module.exports = new Validators();
\ No newline at end of file